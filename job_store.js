@@ -0,0 +1,136 @@
+'use strict';
+
+// Durable job metadata, so a restart doesn't forget jobs whose output is
+// still on disk. The store is an append-only JSON-lines file: each line is
+// one operation — put (whole job), set (changed fields), log (one line) or
+// del — replayed in order by load(). compact() rewrites it as one put per
+// live job. API keys and worker handles are never written.
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const STORE_PATH    = process.env.JOB_STORE_PATH || path.join(os.tmpdir(), 'texting_jobs.jsonl');
+const COMPACT_BYTES = 4 * 1024 * 1024;
+const LOG_FLUSH_MS  = 250;    // worker output arrives in bursts of small chunks
+const LATER_MS      = 2000;   // progress ticks: at most one write per job per this
+
+const FIELDS = [
+  'status', 'log', 'progress', 'outputPath', 'captions', 'timeline', 'error',
+  'jobDir', 'createdAt', 'startedAt', 'finishedAt', 'options',
+];
+const STATE_FIELDS = FIELDS.filter(f => f !== 'log');   // log goes line by line
+
+function pick(job, fields) {
+  const out = {};
+  for (const f of fields) if (job[f] !== undefined) out[f] = job[f];
+  return out;
+}
+
+// ── writes ───────────────────────────────────────────────────────────
+// Synchronous appends keep records in order; a failed write is logged and
+// the in-memory job stays authoritative. Log lines are buffered for
+// LOG_FLUSH_MS and written in one append, always ahead of the next record,
+// so the file order still matches the order of calls. Progress-only changes
+// go through updateLater(), which writes each job at most every LATER_MS;
+// a status change (update/remove) supersedes the pending write.
+let dirReady   = false;
+let pendingLog = [];
+let logTimer   = null;
+const later    = new Map();   // id → { job, timer }
+
+function write(lines) {
+  try {
+    if (!dirReady) { fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true }); dirReady = true; }
+    fs.appendFileSync(STORE_PATH, lines);
+  } catch (err) {
+    console.error('[JOBSTORE] Write failed:', err.message);
+  }
+}
+
+function flushLog() {
+  clearTimeout(logTimer);
+  logTimer = null;
+  if (!pendingLog.length) return;
+  const lines = pendingLog.join('');
+  pendingLog  = [];
+  write(lines);
+}
+
+function append(record) {
+  flushLog();
+  write(JSON.stringify(record) + '\n');
+}
+
+function cancelLater(id) {
+  const p = later.get(id);
+  if (p) { clearTimeout(p.timer); later.delete(id); }
+}
+
+function put(id, job)    { cancelLater(id); append({ op: 'put', id, job: pick(job, FIELDS) }); }
+function update(id, job) { cancelLater(id); append({ op: 'set', id, job: pick(job, STATE_FIELDS) }); }
+function remove(id)      { cancelLater(id); append({ op: 'del', id }); }
+
+function updateLater(id, job) {
+  if (later.has(id)) { later.get(id).job = job; return; }
+  const timer = setTimeout(() => { later.delete(id); update(id, job); }, LATER_MS);
+  timer.unref();
+  later.set(id, { job, timer });
+}
+
+function appendLog(id, line) {
+  pendingLog.push(JSON.stringify({ op: 'log', id, line }) + '\n');
+  if (!logTimer) { logTimer = setTimeout(flushLog, LOG_FLUSH_MS); logTimer.unref(); }
+}
+
+// Pending progress and log lines. Runs on a normal exit; server.js also
+// calls it from its SIGTERM/SIGINT handlers, which don't emit 'exit'.
+function flush() {
+  for (const [id, { job }] of later) update(id, job);
+  flushLog();
+}
+process.on('exit', flush);
+
+// ── load / compact ───────────────────────────────────────────────────
+function load() {
+  let text;
+  try { text = fs.readFileSync(STORE_PATH, 'utf8'); } catch (_) { return {}; }
+
+  const jobs = {};
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    let rec;
+    try { rec = JSON.parse(line); } catch (_) { continue; }   // torn last line from a crash
+    if (rec.op === 'put') {
+      jobs[rec.id] = { ...rec.job, log: rec.job.log || [] };
+    } else if (jobs[rec.id]) {
+      if (rec.op === 'set') Object.assign(jobs[rec.id], rec.job);
+      if (rec.op === 'log') jobs[rec.id].log.push(rec.line);
+      if (rec.op === 'del') delete jobs[rec.id];
+    }
+  }
+  return jobs;
+}
+
+// Write-then-rename, like the TTS cache, so a crash mid-compaction keeps the old file
+function compact(jobs) {
+  const tmp = `${STORE_PATH}.${process.pid}.tmp`;
+  flush();   // so nothing buffered lands after the rewrite out of order
+  try {
+    fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+    fs.writeFileSync(tmp, Object.entries(jobs)
+      .map(([id, job]) => JSON.stringify({ op: 'put', id, job: pick(job, FIELDS) }) + '\n')
+      .join(''));
+    fs.renameSync(tmp, STORE_PATH);
+  } catch (err) {
+    console.error('[JOBSTORE] Compaction failed:', err.message);
+  }
+}
+
+function compactIfLarge(jobs, maxBytes = COMPACT_BYTES) {
+  let size = 0;
+  try { size = fs.statSync(STORE_PATH).size; } catch (_) { return; }
+  if (size > maxBytes) compact(jobs);
+}
+
+module.exports = { STORE_PATH, put, update, updateLater, appendLog, remove, flush, load, compact, compactIfLarge };
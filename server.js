@@ -5,7 +5,11 @@ const multer     = require('multer');
 const path       = require('path');
 const fs         = require('fs');
 const os         = require('os');
+const crypto     = require('crypto');
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
+const ttsCache   = require('./tts_cache');
+const jobStore   = require('./job_store');
 
 const app  = express();
 const PORT = process.env.PORT || 3000;
@@ -15,32 +19,164 @@ app.use(express.json());
 app.use(express.static('public'));
 
 // ── job store ────────────────────────────────────────────────────────
-// Each entry: { status, log, outputPath, error, jobDir, createdAt }
+// Each entry: { status, log, progress, outputPath, captions, timeline, error,
+//               jobDir, createdAt, startedAt, finishedAt, options, worker, start }
+// status: queued → running → done | error | cancelled
+// Everything but worker/start is persisted to jobStore (see job_store.js).
 const jobs = {};
 
+// ── job events ───────────────────────────────────────────────────────
+// jobEvents emits (jobId, { type: 'log', id, line } | { type: 'status', ... })
+// for the SSE stream. Log ids are 1-based positions in job.log, so a
+// reconnecting EventSource resumes from Last-Event-ID.
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function _log(jobId, text) {
+  const job = jobs[jobId];
+  if (!job) return;
+  const line = `[${_ts()}] ${text}`;
+  job.log.push(line);
+  jobStore.appendLog(jobId, line);
+  jobEvents.emit(jobId, { type: 'log', id: job.log.length, line });
+}
+
+// Call after any change to a job's state: persists it and pushes it to SSE.
+// persist: false for changes the store doesn't hold or batches itself
+// (queue positions, progress ticks).
+function _notify(jobId, { persist = true } = {}) {
+  if (!jobs[jobId]) return;
+  if (persist) jobStore.update(jobId, jobs[jobId]);
+  jobEvents.emit(jobId, { type: 'status', ..._jobSummary(jobId) });
+}
+
+// Rough share of a job's run time per worker stage, for the overall percent
+const PROGRESS_SPANS = {
+  parse: [0, 2], tts: [2, 30], plugs: [30, 80], render: [30, 80], audio: [80, 85], encode: [85, 100],
+};
+
+function _overallPercent(job) {
+  if (job.status === 'done') return 100;
+  const p    = job.progress || {};
+  const span = PROGRESS_SPANS[p.stage];
+  if (!span) return 0;
+  const frac = p.stage === 'tts'    ? (p.ttsTotal ? p.ttsDone / p.ttsTotal : 1)
+    : p.stage === 'render' || p.stage === 'plugs' ? (p.scenesTotal ? p.scenesDone / p.scenesTotal : 1)
+    : p.stage === 'encode' ? (p.encodePercent || 0) / 100
+    : 0;
+  return Math.round(span[0] + (span[1] - span[0]) * frac);
+}
+
+// Everything /api/status reports except the log
+function _jobSummary(jobId) {
+  const job = jobs[jobId];
+  const eta = job.status === 'queued' ? _queueEstimates().estimates.get(jobId) : null;
+  const p   = job.progress || {};
+  const num = v => (Number.isFinite(v) ? v : null);
+  return {
+    status:           job.status,
+    stage:            p.stage || null,
+    percent:          _overallPercent(job),
+    scenesDone:       num(p.scenesDone),
+    scenesTotal:      num(p.scenesTotal),
+    ttsDone:          num(p.ttsDone),
+    ttsTotal:         num(p.ttsTotal),
+    encodePercent:    num(p.encodePercent),
+    queuePosition:    eta ? eta.position : null,
+    estimatedStartAt: eta ? eta.estimatedStartAt : null,
+    error:            job.error,
+    downloadUrl:      job.outputPath ? `/api/download/${jobId}` : null,
+    captions:         job.captions ? {
+      srt: `/api/download/${jobId}/captions.srt`,
+      vtt: `/api/download/${jobId}/captions.vtt`,
+    } : null,
+    timeline:         job.timeline,
+  };
+}
+
 // ── job TTL constants ─────────────────────────────────────────────────
-const JOB_TTL_MS       = 10 * 60 * 1000;  // 10 min: auto-delete after done/error
+const JOB_TTL_MS       = 10 * 60 * 1000;  // 10 min after done/error/cancel: auto-delete
 const JOB_MAX_STORE    = 50;               // hard cap on in-memory jobs
 const CLEANUP_INTERVAL =  2 * 60 * 1000;  // sweep every 2 min
+const CANCEL_GRACE_MS  =  3 * 1000;       // timed-out worker: time to unwind before the tree kill
+
+// ── job queue ────────────────────────────────────────────────────────
+// FIFO of queued jobIds. At most MAX_CONCURRENT_JOBS workers run at once —
+// each holds Chromium + ffmpeg, so keep it low on small boxes.
+const MAX_CONCURRENT_JOBS = Math.max(1, parseInt(process.env.MAX_CONCURRENT_JOBS || '2', 10));
+const MAX_QUEUED_JOBS     = Math.max(0, parseInt(process.env.MAX_QUEUED_JOBS     || '20', 10));
+const DEFAULT_JOB_MS      = 3 * 60 * 1000;   // ETA guess until a job has finished
+const queue       = [];
+const recentJobMs = [];   // run times of the last few finished jobs
+
+function _runningCount() {
+  return Object.values(jobs).filter(j => j.status === 'running').length;
+}
+
+function _avgJobMs() {
+  return recentJobMs.length
+    ? recentJobMs.reduce((a, b) => a + b, 0) / recentJobMs.length
+    : DEFAULT_JOB_MS;
+}
+
+function _pumpQueue() {
+  while (queue.length && _runningCount() < MAX_CONCURRENT_JOBS) {
+    const jobId = queue.shift();
+    const job   = jobs[jobId];
+    if (!job || job.status !== 'queued') continue;
+    job.start()
+      .catch(err => {
+        const j = jobs[jobId];
+        if (j) { j.status = 'error'; j.error = err.message; j.finishedAt = j.finishedAt || Date.now(); _notify(jobId); }
+      })
+      .finally(_pumpQueue);
+  }
+  queue.forEach(id => _notify(id, { persist: false }));   // positions / ETAs moved
+}
+
+// Queue position (1-based) and estimated start for every queued job. Running
+// jobs are assumed to take the recent average; each start takes the slot
+// that frees up first.
+function _queueEstimates(now = Date.now()) {
+  const avg   = _avgJobMs();
+  let   slots = Object.values(jobs)
+    .filter(j => j.status === 'running')
+    .map(j => now + Math.max(0, avg - (now - j.startedAt)))
+    .sort((a, b) => a - b);
+  slots = slots.slice(Math.max(0, slots.length - MAX_CONCURRENT_JOBS));   // over the limit: wait for extras
+  while (slots.length < MAX_CONCURRENT_JOBS) slots.unshift(now);
+
+  const estimates = new Map();
+  queue.filter(id => jobs[id] && jobs[id].status === 'queued').forEach((id, i) => {
+    slots.sort((a, b) => a - b);
+    estimates.set(id, { position: i + 1, estimatedStartAt: new Date(slots[0]).toISOString() });
+    slots[0] += avg;
+  });
+  slots.sort((a, b) => a - b);
+  return { estimates, nextStartAt: new Date(slots[0]).toISOString() };
+}
 
 // ── periodic cleanup ──────────────────────────────────────────────────
 setInterval(() => {
   const now = Date.now();
   for (const [jobId, job] of Object.entries(jobs)) {
-    const age      = now - job.createdAt;
-    const finished = job.status === 'done' || job.status === 'error';
+    const finished = ['done', 'error', 'cancelled'].includes(job.status);
+    const age      = now - (job.finishedAt || job.createdAt);
 
-    // Delete finished jobs older than TTL
+    // Delete jobs finished more than TTL ago, however long they ran or queued
     if (finished && age > JOB_TTL_MS) {
       _deleteJob(jobId);
       continue;
     }
 
     // Kill jobs stuck in "running" for over 20 min (worker died silently)
-    if (job.status === 'running' && age > 20 * 60 * 1000) {
-      job.status = 'error';
-      job.error  = 'Job timed out after 20 minutes.';
+    if (job.status === 'running' && now - job.startedAt > 20 * 60 * 1000) {
+      job.status     = 'error';
+      job.error      = 'Job timed out after 20 minutes.';
+      job.finishedAt = now;
+      _stopWorker(job.worker, job.error);
       _cleanJobFiles(job);
+      _notify(jobId);
     }
   }
 
@@ -48,11 +184,14 @@ setInterval(() => {
   const ids = Object.keys(jobs);
   if (ids.length > JOB_MAX_STORE) {
     ids
-      .filter(id => jobs[id].status === 'done' || jobs[id].status === 'error')
-      .sort((a, b) => jobs[a].createdAt - jobs[b].createdAt)
+      .filter(id => ['done', 'error', 'cancelled'].includes(jobs[id].status))
+      .sort((a, b) => (jobs[a].finishedAt || jobs[a].createdAt) - (jobs[b].finishedAt || jobs[b].createdAt))
       .slice(0, ids.length - JOB_MAX_STORE)
       .forEach(id => _deleteJob(id));
   }
+
+  _pumpQueue();   // a timed-out job's slot is free now
+  jobStore.compactIfLarge(jobs);
 }, CLEANUP_INTERVAL);
 
 function _deleteJob(jobId) {
@@ -60,11 +199,13 @@ function _deleteJob(jobId) {
   if (!job) return;
   _cleanJobFiles(job);
   delete jobs[jobId];
+  jobStore.remove(jobId);
   console.log(`[CLEANUP] Removed job ${jobId}`);
 }
 
 function _cleanJobFiles(job) {
-  // Delete job working directory (WAVs, frames, script, assets, tts_cache)
+  // Delete job working directory (WAVs, script, assets). The TTS cache is
+  // server-wide and outlives jobs — see /api/cache.
   if (job.jobDir && fs.existsSync(job.jobDir)) {
     try { fs.rmSync(job.jobDir, { recursive: true, force: true }); } catch (_) {}
   }
@@ -74,6 +215,77 @@ function _cleanJobFiles(job) {
   }
 }
 
+// ── restore persisted jobs ───────────────────────────────────────────
+// Workers don't survive a restart, and queued jobs can't be resumed (their
+// API key is never stored), so both come back as failed. Finished jobs keep
+// their downloads until the usual TTL.
+Object.assign(jobs, jobStore.load());
+for (const job of Object.values(jobs)) {
+  job.worker = null;
+  if (job.status !== 'running' && job.status !== 'queued') continue;
+  job.error  = job.status === 'running'
+    ? 'Server restarted while the job was running.'
+    : 'Server restarted before the job started.';
+  job.status = 'error';
+  job.finishedAt = Date.now();
+  job.log.push(`[${_ts()}] ❌ Error: ${job.error}`);
+  _cleanJobFiles(job);
+}
+jobStore.compact(jobs);
+if (Object.keys(jobs).length) console.log(`[JOBSTORE] Restored ${Object.keys(jobs).length} job(s) from ${jobStore.STORE_PATH}`);
+
+// ── worker process tree ──────────────────────────────────────────────
+// Chromium (puppeteer launches it detached, in its own process group) and
+// ffmpeg are children of the worker, so killing the worker alone would
+// orphan them. Snapshot the descendants first, then SIGKILL deepest first.
+function _descendantPids(rootPid) {
+  const children = new Map();   // ppid → [pid]
+  const add = (pid, ppid) => {
+    if (!children.has(ppid)) children.set(ppid, []);
+    children.get(ppid).push(pid);
+  };
+  try {
+    for (const d of fs.readdirSync('/proc')) {
+      if (!/^\d+$/.test(d)) continue;
+      try {
+        const stat = fs.readFileSync(`/proc/${d}/stat`, 'utf8');   // "pid (comm) state ppid …"
+        add(Number(d), Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]));
+      } catch (_) {}   // exited while we were looking
+    }
+  } catch (_) {
+    // No /proc (macOS dev boxes)
+    const { execFileSync } = require('child_process');
+    const out = execFileSync('ps', ['-A', '-o', 'pid=,ppid='], { encoding: 'utf8' });
+    for (const line of out.trim().split('\n')) {
+      const [pid, ppid] = line.trim().split(/\s+/).map(Number);
+      add(pid, ppid);
+    }
+  }
+
+  const out  = [];
+  const walk = pid => { for (const c of children.get(pid) || []) { walk(c); out.push(c); } };
+  walk(rootPid);
+  return out;
+}
+
+function _killWorkerTree(worker) {
+  if (!worker || worker.exitCode !== null || worker.signalCode) return;
+  let pids = [];
+  try { pids = _descendantPids(worker.pid); } catch (err) { console.error('[CANCEL] Listing children failed:', err.message); }
+  for (const pid of [...pids, worker.pid]) {
+    try { process.kill(pid, 'SIGKILL'); } catch (_) {}   // already gone
+  }
+}
+
+// Gentler stop for the timeout sweep: the worker gets a 'cancel' (aborts TTS
+// polling right away) and the tree is killed if it is still up after
+// CANCEL_GRACE_MS — before the worker's own 5s exit would orphan its children.
+function _stopWorker(worker, reason) {
+  if (!worker || worker.exitCode !== null || worker.signalCode) return;
+  if (worker.connected) worker.send({ type: 'cancel', reason });
+  setTimeout(() => _killWorkerTree(worker), CANCEL_GRACE_MS).unref();
+}
+
 // ── multer ────────────────────────────────────────────────────────────
 const upload = multer({
   dest: os.tmpdir(),
@@ -88,24 +300,49 @@ app.post('/api/generate', upload.fields([
   { name: 'assets',      maxCount: 30 },
   { name: 'sentSfx',     maxCount: 1  },
   { name: 'receivedSfx', maxCount: 1  },
+  { name: 'music',       maxCount: 1  },
 ]), async (req, res) => {
   try {
     const apiKey      = (req.body.apiKey      || '').trim();
     const theme       = (req.body.theme       || 'dark').trim();
     const ttsProvider = (req.body.ttsProvider || 'ai33pro').trim();
+    const animation   = (req.body.animation   || 'none').trim().toLowerCase();
+    const preset      = (req.body.outputPreset || '9x16_1080').trim();
+    const background  = (req.body.background  || 'green').trim().toLowerCase();
+    const loudness    = (req.body.loudness    || 'off').trim().toLowerCase();   // preset or LUFS
+    const captions    = (req.body.captions    || 'off').trim().toLowerCase();
+    const captionStyle = (req.body.captionStyle || 'classic').trim().toLowerCase();
+    const musicVolume = parseFloat(req.body.musicVolume  || '30');   // percent
+    const musicOffset = parseFloat(req.body.musicOffset  || '0');    // seconds into the track
+    const musicFade   = parseFloat(req.body.musicFadeOut || '3');    // seconds
 
     if (!req.files?.script?.[0])
       return res.status(400).json({ error: 'Script file is required.' });
-    if (!apiKey)
-      return res.status(400).json({ error: 'API key is required.' });
-    if (!['ai33pro', 'elevenlabs'].includes(ttsProvider))
+    if (!['ai33pro', 'elevenlabs', 'local'].includes(ttsProvider))
       return res.status(400).json({ error: 'Invalid ttsProvider.' });
-
-    // Reject if already at capacity (prevents OOM from concurrent heavy jobs)
-    const activeCount = Object.values(jobs)
-      .filter(j => j.status === 'running' || j.status === 'queued').length;
-    if (activeCount >= 2) {
-      return res.status(429).json({ error: 'Server busy — 2 jobs already running. Try again in a moment.' });
+    if (!apiKey && ttsProvider !== 'local')
+      return res.status(400).json({ error: 'API key is required.' });
+    if (!['none', 'pop', 'slide', 'fade'].includes(animation))
+      return res.status(400).json({ error: 'Invalid animation.' });
+    if (!['9x16_1080', '9x16_720', '4x5_1080', '1x1_1080', '16x9_1080'].includes(preset))
+      return res.status(400).json({ error: 'Invalid outputPreset.' });
+    if (!['green', 'prores', 'webm'].includes(background))
+      return res.status(400).json({ error: 'Invalid background.' });
+    if (!['off', 'social', 'podcast', 'broadcast'].includes(loudness) &&
+        !(parseFloat(loudness) >= -40 && parseFloat(loudness) <= -5))
+      return res.status(400).json({ error: 'Invalid loudness — use off, social, podcast, broadcast or a LUFS value from -40 to -5.' });
+    if (!['off', 'sidecar', 'burn'].includes(captions))
+      return res.status(400).json({ error: 'Invalid captions — use off, sidecar or burn.' });
+    if (!['classic', 'boxed', 'yellow', 'top'].includes(captionStyle))
+      return res.status(400).json({ error: 'Invalid captionStyle.' });
+    if (!(musicVolume >= 0 && musicVolume <= 100))
+      return res.status(400).json({ error: 'musicVolume must be 0–100.' });
+    if (!(musicOffset >= 0) || !(musicFade >= 0 && musicFade <= 30))
+      return res.status(400).json({ error: 'musicOffset must be ≥ 0 and musicFadeOut 0–30 seconds.' });
+
+    // Jobs past the concurrency limit wait in the queue; only a full queue is refused
+    if (_runningCount() >= MAX_CONCURRENT_JOBS && queue.length >= MAX_QUEUED_JOBS) {
+      return res.status(503).json({ error: `Queue is full — ${queue.length} jobs waiting. Try again later.` });
     }
 
     const jobId  = uuidv4();
@@ -127,24 +364,83 @@ app.post('/api/generate', upload.fields([
     if (req.files?.receivedSfx?.[0]) fs.renameSync(req.files.receivedSfx[0].path, receivedSfxPath);
     else                              _writeSilentMp3Placeholder(receivedSfxPath);
 
+    let music = null;
+    if (req.files?.music?.[0]) {
+      const ext = path.extname(req.files.music[0].originalname) || '.mp3';
+      music = { path: path.join(jobDir, `music${ext}`), volume: musicVolume / 100, offset: musicOffset, fadeOut: musicFade };
+      fs.renameSync(req.files.music[0].path, music.path);
+    }
+
     jobs[jobId] = {
       status:     'queued',
       log:        [],
+      progress:   null,
       outputPath: null,
+      captions:   null,
+      timeline:   null,
       error:      null,
       jobDir,
       createdAt:  Date.now(),
+      startedAt:  null,
+      finishedAt: null,
+      options:    {
+        theme, ttsProvider, animation, preset, background, loudness, captions, captionStyle,
+        music: music && { volume: music.volume, offset: music.offset, fadeOut: music.fadeOut },
+      },
+      worker:     null,
+      start:      () => _runJob(jobId, jobDir, scriptDest, apiKey, theme, ttsProvider, animation, preset, background,
+                                loudness, captions, captionStyle, sentSfxPath, receivedSfxPath, music),
     };
 
-    _runJob(jobId, jobDir, scriptDest, apiKey, theme, ttsProvider, sentSfxPath, receivedSfxPath)
-      .catch(err => {
-        if (jobs[jobId]) { jobs[jobId].status = 'error'; jobs[jobId].error = err.message; }
-      });
+    jobStore.put(jobId, jobs[jobId]);
+    queue.push(jobId);
+    _pumpQueue();
+
+    const eta = _queueEstimates().estimates.get(jobId);
+    if (eta) _log(jobId, `Queued at position ${eta.position}.`);
+    return res.json({
+      jobId,
+      status:           jobs[jobId].status,
+      queuePosition:    eta ? eta.position : null,
+      estimatedStartAt: eta ? eta.estimatedStartAt : null,
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────
+// POST /api/validate
+// Dry-run the script against its assets — no TTS, no rendering.
+// ─────────────────────────────────────────────────────────────────────
+app.post('/api/validate', upload.fields([
+  { name: 'script', maxCount: 1  },
+  { name: 'assets', maxCount: 30 },
+]), (req, res) => {
+  const checkDir = path.join(os.tmpdir(), `validate_${uuidv4()}`);
+  try {
+    if (!req.files?.script?.[0])
+      return res.status(400).json({ error: 'Script file is required.' });
 
-    return res.json({ jobId });
+    fs.mkdirSync(checkDir, { recursive: true });
+    const scriptDest = path.join(checkDir, 'script.txt');
+    fs.renameSync(req.files.script[0].path, scriptDest);
+    for (const f of (req.files.assets || [])) {
+      fs.renameSync(f.path, path.join(checkDir, f.originalname));
+    }
+
+    // Loaded lazily: texting_video.js pulls in canvas/sharp/puppeteer
+    const { validateScript } = require('./texting_video.js');
+    const ttsProvider = (req.body.ttsProvider || 'ai33pro').trim();
+    if (!['ai33pro', 'elevenlabs', 'local'].includes(ttsProvider))
+      return res.status(400).json({ error: 'Invalid ttsProvider.' });
+    return res.json(validateScript(scriptDest, checkDir, ttsProvider));
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: err.message });
+  } finally {
+    try { fs.rmSync(checkDir, { recursive: true, force: true }); } catch (_) {}
   }
 });
 
@@ -152,11 +448,45 @@ app.post('/api/generate', upload.fields([
 app.get('/api/status/:jobId', (req, res) => {
   const job = jobs[req.params.jobId];
   if (!job) return res.status(404).json({ error: 'Job not found or already cleaned up.' });
-  res.json({
-    status:      job.status,
-    log:         job.log,
-    error:       job.error,
-    downloadUrl: job.outputPath ? `/api/download/${req.params.jobId}` : null,
+  res.json({ ..._jobSummary(req.params.jobId), log: job.log });
+});
+
+// ── GET /api/jobs/:jobId/events ───────────────────────────────────────
+// Server-Sent Events: replays the log (after Last-Event-ID on reconnect),
+// then pushes new lines and status changes. The stream closes after the
+// job's final status, which carries downloadUrl on success.
+const SSE_HEARTBEAT_MS = 25 * 1000;   // keep proxies from closing an idle stream
+
+app.get('/api/jobs/:jobId/events', (req, res) => {
+  const jobId = req.params.jobId;
+  const job   = jobs[jobId];
+  if (!job) return res.status(404).json({ error: 'Job not found or already cleaned up.' });
+
+  res.writeHead(200, {
+    'Content-Type':      'text/event-stream',
+    'Cache-Control':     'no-cache',
+    'Connection':        'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  const send = (event, data, id) =>
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const isFinal = status => ['done', 'error', 'cancelled'].includes(status);
+
+  const from = parseInt(req.get('Last-Event-ID') || '0', 10) || 0;
+  job.log.slice(from).forEach((line, i) => send('log', { line }, from + i + 1));
+  send('status', _jobSummary(jobId));
+  if (isFinal(job.status)) return res.end();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  const onEvent = ({ type, id, ...data }) => {
+    if (res.writableEnded) return;
+    send(type, type === 'log' ? { line: data.line } : data, id);
+    if (type === 'status' && isFinal(data.status)) res.end();
+  };
+  jobEvents.on(jobId, onEvent);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    jobEvents.off(jobId, onEvent);
   });
 });
 
@@ -174,69 +504,150 @@ app.get('/api/download/:jobId', (req, res) => {
   });
 });
 
+// ── GET /api/download/:jobId/captions.(srt|vtt) ───────────────────────
+// Sidecars don't start the delete grace period — the video download does.
+app.get('/api/download/:jobId/captions.:format', (req, res) => {
+  const job  = jobs[req.params.jobId];
+  const file = job && job.captions && ['srt', 'vtt'].includes(req.params.format) && job.captions[req.params.format];
+  if (!file || !fs.existsSync(file)) {
+    return res.status(404).json({ error: 'No captions for this job, or already cleaned up.' });
+  }
+  res.download(file, path.basename(file));
+});
+
+// ── DELETE /api/jobs/:jobId ───────────────────────────────────────────
+// Cancel a queued or running job: kill its worker tree, free the slot and
+// delete its files. The job itself stays visible as 'cancelled' until TTL.
+app.delete('/api/jobs/:jobId', (req, res) => {
+  const job = jobs[req.params.jobId];
+  if (!job) return res.status(404).json({ error: 'Job not found or already cleaned up.' });
+  if (job.status !== 'running' && job.status !== 'queued')
+    return res.status(409).json({ error: `Job already ${job.status}.` });
+
+  const queued = queue.indexOf(req.params.jobId);
+  if (queued !== -1) queue.splice(queued, 1);
+  job.status     = 'cancelled';
+  job.error      = 'Cancelled by user.';
+  job.finishedAt = Date.now();
+  _log(req.params.jobId, '⛔ Cancelled by user.');
+  _killWorkerTree(job.worker);
+  _cleanJobFiles(job);
+  _notify(req.params.jobId);
+  queue.forEach(id => _notify(id, { persist: false }));
+  console.log(`[CANCEL] Job ${req.params.jobId}`);
+  res.json({ jobId: req.params.jobId, status: job.status });
+});
+
 // ── GET /api/queue ────────────────────────────────────────────────────
+// Job IDs are the only credential for status/download/cancel, so the
+// queue is listed by position only.
 app.get('/api/queue', (_req, res) => {
-  const active = Object.values(jobs).filter(j => j.status === 'running').length;
-  const queued = Object.values(jobs).filter(j => j.status === 'queued').length;
-  res.json({ active, queued, total: Object.keys(jobs).length });
+  const { estimates, nextStartAt } = _queueEstimates();
+  res.json({
+    active:      _runningCount(),
+    queued:      estimates.size,
+    limit:       MAX_CONCURRENT_JOBS,
+    total:       Object.keys(jobs).length,
+    avgJobSecs:  Math.round(_avgJobMs() / 1000),
+    nextStartAt,   // when a job submitted now would start
+    queue:       [...estimates.values()],
+  });
 });
 
 // ─────────────────────────────────────────────────────────────────────
 // INTERNAL: run pipeline in child process
 // ─────────────────────────────────────────────────────────────────────
-async function _runJob(jobId, jobDir, scriptPath, apiKey, theme, ttsProvider, sentSfx, receivedSfx) {
+async function _runJob(jobId, jobDir, scriptPath, apiKey, theme, ttsProvider, animation, preset, background, loudness, captions, captionStyle, sentSfx, receivedSfx, music) {
   const { fork } = require('child_process');
   const job = jobs[jobId];
-  job.status = 'running';
-  job.log.push(`[${_ts()}] Job started. Theme: ${theme} | TTS: ${ttsProvider}`);
+  job.status    = 'running';
+  job.startedAt = Date.now();
+  _notify(jobId);
+  _log(jobId, `Job started. Theme: ${theme} | TTS: ${ttsProvider} | Animation: ${animation} | Output: ${preset} | Background: ${background} | Loudness: ${loudness} | Captions: ${captions === 'burn' ? `burn (${captionStyle})` : captions}` +
+    (music ? ` | Music: ${Math.round(music.volume * 100)}% from ${music.offset}s, fade ${music.fadeOut}s` : ''));
 
   return new Promise((resolve, reject) => {
     const worker = fork(path.join(__dirname, 'worker.js'), [], {
       env: {
         ...process.env,
-        JOB_ID:       jobId,
-        SCRIPT_PATH:  scriptPath,
-        BASE_DIR:     jobDir,
-        API_KEY:      apiKey,
-        THEME:        theme,
-        TTS_PROVIDER: ttsProvider,
-        SENT_SFX:     sentSfx,
-        RECEIVED_SFX: receivedSfx,
+        JOB_ID:           jobId,
+        SCRIPT_PATH:      scriptPath,
+        BASE_DIR:         jobDir,
+        API_KEY:          apiKey,
+        THEME:            theme,
+        TTS_PROVIDER:     ttsProvider,
+        BUBBLE_ANIMATION: animation,
+        OUTPUT_PRESET:    preset,
+        BACKGROUND_MODE:  background,
+        LOUDNESS_TARGET:  loudness,
+        CAPTIONS:         captions,
+        CAPTION_STYLE:    captionStyle,
+        SENT_SFX:         sentSfx,
+        RECEIVED_SFX:     receivedSfx,
+        TTS_CACHE_DIR:    ttsCache.CACHE_DIR,
+        TMPDIR:           jobDir,   // pipeline scratch + Chromium profile go away with the job
+        ...(music && {
+          MUSIC_PATH:     music.path,
+          MUSIC_VOLUME:   String(music.volume),
+          MUSIC_OFFSET_S: String(music.offset),
+          MUSIC_FADE_S:   String(music.fadeOut),
+        }),
       },
       stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
     });
+    job.worker = worker;
 
     worker.stdout.on('data', d => {
       const line = d.toString().trim();
-      if (line && jobs[jobId]) { jobs[jobId].log.push(`[${_ts()}] ${line}`); console.log(`[JOB ${jobId}]`, line); }
+      if (line && jobs[jobId]) { _log(jobId, line); console.log(`[JOB ${jobId}]`, line); }
     });
     worker.stderr.on('data', d => {
       const line = d.toString().trim();
-      if (line && jobs[jobId]) jobs[jobId].log.push(`[${_ts()}] ${line}`);
+      if (line) _log(jobId, line);
     });
 
     worker.on('message', msg => {
-      if (!jobs[jobId]) return;
+      if (!jobs[jobId] || jobs[jobId].status === 'cancelled') return;
+      if (msg.type === 'progress') {
+        jobs[jobId].progress = msg.progress;
+        jobStore.updateLater(jobId, jobs[jobId]);
+        _notify(jobId, { persist: false });
+      }
       if (msg.type === 'done') {
         jobs[jobId].status     = 'done';
         jobs[jobId].outputPath = msg.outputPath;
-        jobs[jobId].log.push(`[${_ts()}] ✅ Done! ${path.basename(msg.outputPath)}`);
+        jobs[jobId].captions   = msg.captions || null;
+        jobs[jobId].timeline   = msg.timeline || null;
+        jobs[jobId].finishedAt = Date.now();
+        recentJobMs.push(Date.now() - jobs[jobId].startedAt);
+        if (recentJobMs.length > 10) recentJobMs.shift();
+        _log(jobId, `✅ Done! ${path.basename(msg.outputPath)}`);
+        _notify(jobId);
         resolve();
       }
       if (msg.type === 'error') {
-        jobs[jobId].status = 'error';
-        jobs[jobId].error  = msg.error;
-        jobs[jobId].log.push(`[${_ts()}] ❌ Error: ${msg.error}`);
+        jobs[jobId].status     = 'error';
+        jobs[jobId].error      = msg.error;
+        jobs[jobId].finishedAt = Date.now();
+        _log(jobId, `❌ Error: ${msg.error}`);
         _cleanJobFiles(jobs[jobId]);   // free disk immediately on error
+        _notify(jobId);
         reject(new Error(msg.error));
       }
     });
 
     worker.on('exit', code => {
+      if (jobs[jobId]) jobs[jobId].worker = null;
+      if (jobs[jobId] && (jobs[jobId].status === 'cancelled' || jobs[jobId].status === 'error')) {
+        _cleanJobFiles(jobs[jobId]);   // anything written between a cancel/timeout and exit
+        return resolve();              // no-op if the 'error' message already rejected
+      }
       if (jobs[jobId] && jobs[jobId].status === 'running') {
-        jobs[jobId].status = 'error';
-        jobs[jobId].error  = `Worker exited with code ${code}`;
+        jobs[jobId].status     = 'error';
+        jobs[jobId].error      = `Worker exited with code ${code}`;
+        jobs[jobId].finishedAt = Date.now();
         _cleanJobFiles(jobs[jobId]);
+        _notify(jobId);
         reject(new Error(jobs[jobId].error));
       }
     });
@@ -256,7 +667,40 @@ function _writeSilentMp3Placeholder(p) {
   } catch (_) {}
 }
 
+// ── GET /api/cache/stats ──────────────────────────────────────────────
+app.get('/api/cache/stats', (_req, res) => res.json(ttsCache.stats()));
+
+// ── DELETE /api/cache ─────────────────────────────────────────────────
+// Admin only: the cache is shared by every user. Without ADMIN_TOKEN set the
+// route doesn't exist; otherwise the X-Admin-Token header must match it.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+function _isAdmin(req) {
+  const given = Buffer.from(String(req.get('X-Admin-Token') || ''));
+  const want  = Buffer.from(ADMIN_TOKEN);
+  return given.length === want.length && crypto.timingSafeEqual(given, want);
+}
+
+app.delete('/api/cache', (req, res) => {
+  if (!ADMIN_TOKEN) return res.status(404).json({ error: 'Not found.' });
+  if (!_isAdmin(req)) return res.status(403).json({ error: 'Admin token required.' });
+  const result = ttsCache.purge();
+  console.log(`[CACHE] Purged ${result.removed} TTS clip(s)`);
+  res.json(result);
+});
+
 // ── health check ─────────────────────────────────────────────────────
 app.get('/health', (_req, res) => res.json({ ok: true, jobs: Object.keys(jobs).length }));
 
-app.listen(PORT, () => console.log(`🚀 Server listening on port ${PORT}`));
\ No newline at end of file
+app.listen(PORT, () => console.log(`🚀 Server listening on port ${PORT}`));
+
+// ── shutdown ─────────────────────────────────────────────────────────
+// Redeploys stop the server with SIGTERM: write out buffered log lines and
+// progress before going.
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    console.log(`[SHUTDOWN] ${signal}`);
+    jobStore.flush();
+    process.exit(0);
+  });
+}
\ No newline at end of file
@@ -20,9 +20,9 @@ const fs      = require('fs');
 const fsp     = require('fs/promises');
 const path    = require('path');
 const os      = require('os');
-const crypto  = require('crypto');
 const { execSync, spawnSync, spawn } = require('child_process');
 const readline = require('readline');
+const ttsCache = require('./tts_cache');
 
 // Ensure ffmpeg is findable in all environments
 const { execSync: _exec } = require('child_process');
@@ -34,20 +34,103 @@ try {
 }
 
 // =====================================================================
-// RESOLUTION: 1080 x 1920 (9:16 portrait)
+// RESOLUTION / OUTPUT PRESETS
+// The layout is designed in points on a 720-pt-wide phone; `scale` maps
+// points to output pixels (1.5 → 1080 wide). chatTop / chatBottom are the
+// points of green kept above and below the chat window.
 // =====================================================================
-const W         = 1080;
-const H         = 1920;
-const CHAT_W    = Math.round(620 * 1.5);   // 930
+const OUTPUT_PRESETS = {
+  '9x16_1080': { label: '9:16 1080p',     tag: '1080p', w: 1080, h: 1920, scale: 1.5, chatTop: 170, chatBottom: 40 },
+  '9x16_720':  { label: '9:16 720p',      tag: '720p',  w: 720,  h: 1280, scale: 1.0, chatTop: 170, chatBottom: 40 },
+  '4x5_1080':  { label: '4:5 1080x1350',  tag: '4x5',   w: 1080, h: 1350, scale: 1.5, chatTop: 60,  chatBottom: 30 },
+  '1x1_1080':  { label: '1:1 1080x1080',  tag: '1x1',   w: 1080, h: 1080, scale: 1.5, chatTop: 40,  chatBottom: 30 },
+  '16x9_1080': { label: '16:9 1920x1080', tag: '16x9',  w: 1920, h: 1080, scale: 1.5, chatTop: 40,  chatBottom: 30 },
+};
+const DEFAULT_PRESET = '9x16_1080';
+const BASE_SCALE     = 1.5;   // scale the Plug/Rizz card and bubble-tail factors were tuned at
+
 const BG_COLOR  = '#14FF14';               // (20,255,20) as hex
-const TOPBAR_H  = Math.round(150 * 1.5);   // 225
 const FONT_PATH = 'SF-Pro-Display-Regular.otf';
-const PAGE_SIZE_TEXT       = 9;
-const PAGE_SIZE_WITH_IMAGE = 6;
-const CORNER_RADIUS        = Math.round(36 * 1.5);   // 54
+
+// =====================================================================
+// BACKGROUND MODES
+// 'green' fills the frame with BG_COLOR for chroma keying. The alpha modes
+// leave it transparent and stream PNG frames; `codec` is the one and only
+// encode (video + audio) for the delivered file.
+// =====================================================================
+const BACKGROUND_MODES = {
+  green: {
+    alpha: false, ext: '.mp4',
+    codec: ['-c:v', 'libx264', '-preset', 'medium', '-crf', '18', '-pix_fmt', 'yuv420p',
+            '-c:a', 'aac', '-b:a', '192k'],
+  },
+  prores: {
+    alpha: true, ext: '.mov',
+    codec: ['-c:v', 'prores_ks', '-profile:v', '4444', '-pix_fmt', 'yuva444p10le', '-vendor', 'apl0',
+            '-c:a', 'aac', '-b:a', '192k'],
+  },
+  webm: {
+    alpha: true, ext: '.webm',
+    codec: ['-c:v', 'libvpx-vp9', '-pix_fmt', 'yuva420p', '-b:v', '0', '-crf', '30', '-row-mt', '1',
+            '-c:a', 'libopus', '-b:a', '160k'],
+  },
+};
+let BACKGROUND = BACKGROUND_MODES.green;
+
+// Paint (or, in alpha modes, clear) the area outside the chat window
+function fillBackdrop(ctx, x = 0, y = 0, w = W, h = H) {
+  if (BACKGROUND.alpha) { ctx.clearRect(x, y, w, h); return; }
+  ctx.fillStyle = BG_COLOR;
+  ctx.fillRect(x, y, w, h);
+}
+
+// Set by applyOutputPreset(); values in the comments are for 9:16 1080p
+let OUTPUT   = OUTPUT_PRESETS[DEFAULT_PRESET];
+let UI_SCALE = 1.5;
+let W, H;
+let CHAT_W;                 // 930
+let TOPBAR_H;               // 225
+let SCENE_PAD, LABEL_H, TAPBACK_R, TAPBACK_H, RECEIPT_H;
+let CHAT_Y, CHAT_BOTTOM, STRIP_TOP, STRIP_BOTTOM;
+let GAP_SAME, GAP_DIFF;
+
+function px(pt) {
+  return Math.round(pt * UI_SCALE);
+}
+
+function applyOutputPreset(key = DEFAULT_PRESET) {
+  const preset = OUTPUT_PRESETS[key];
+  if (!preset) {
+    throw new Error(`Unknown output preset '${key}' (expected ${Object.keys(OUTPUT_PRESETS).join('|')})`);
+  }
+  OUTPUT   = { key, ...preset };
+  UI_SCALE = preset.scale;
+  W        = preset.w;
+  H        = preset.h;
+  CHAT_W   = px(620);
+  TOPBAR_H = px(150);
+
+  SCENE_PAD    = px(38);
+  GAP_SAME     = px(-6.5);
+  GAP_DIFF     = 0;
+  LABEL_H      = px(24);
+  TAPBACK_R    = px(20);
+  TAPBACK_H    = Math.round(TAPBACK_R * 1.5);
+  RECEIPT_H    = px(26);
+  CHAT_Y       = px(preset.chatTop);
+  CHAT_BOTTOM  = px(preset.chatBottom);   // clear space kept under the chat window
+  STRIP_TOP    = px(13);
+  STRIP_BOTTOM = px(8);
+  return OUTPUT;
+}
+applyOutputPreset(process.env.OUTPUT_PRESET || DEFAULT_PRESET);
+
+const TYPING_ANIM_FRAMES   = 6;   // distinct dot phases per cycle
+const TYPING_FRAME_HOLD    = 4;   // video frames per phase → 0.8s cycle @ 30fps
+const ENTRANCE_MODES       = ['none', 'pop', 'slide', 'fade'];
+const ENTRANCE_FRAMES      = 6;   // newest-bubble entrance → 0.2s @ 30fps
 
 let IMAGE_BASE_DIR = '.';
-let TTS_CACHE_DIR  = 'tts_cache';
 
 const SENT_SFX_DEFAULT     = 'sent.mp3';
 const RECEIVED_SFX_DEFAULT = 'received.mp3';
@@ -84,6 +167,11 @@ const THEMES = {
     name_weight:    '600',
     avatar_bg_rgba: [0,   0,   0,  0  ],
     rcvd_text_color:[255, 255, 255, 255],
+    meta_text_hex:  '#98989D',
+    tapback_sent_bg:   [29,  119, 254],
+    tapback_sent_icon: '#FFFFFF',
+    tapback_rcvd_bg:   [58,  58,  60 ],
+    tapback_rcvd_icon: '#A1A1A6',
     filename_tag:   'dark',
   },
   light: {
@@ -95,6 +183,11 @@ const THEMES = {
     name_weight:    '400',
     avatar_bg_rgba: [242, 242, 247, 255],
     rcvd_text_color:[0,   0,   0,  255],
+    meta_text_hex:  '#8A8A8E',
+    tapback_sent_bg:   [32,  141, 246],
+    tapback_sent_icon: '#FFFFFF',
+    tapback_rcvd_bg:   [233, 233, 235],
+    tapback_rcvd_icon: '#8A8A8E',
     filename_tag:   'light',
   },
 };
@@ -168,6 +261,48 @@ function extractBlurRuns(text) {
   return runs;
 }
 
+// =====================================================================
+// JOB CANCELLATION
+// One job per worker process. cancelTextingVideo() aborts jobSignal, which
+// TTS requests, AI33Pro polls and retry backoffs listen to, so a cancelled
+// job stops waiting on the network right away.
+// =====================================================================
+const jobAbort  = new AbortController();
+const jobSignal = jobAbort.signal;
+
+function cancelTextingVideo(reason = 'Job cancelled') {
+  if (!jobSignal.aborted) jobAbort.abort(new Error(reason));
+}
+
+function sleep(ms) {
+  return new Promise((resolve, reject) => {
+    if (jobSignal.aborted) return reject(jobSignal.reason);
+    const onAbort = () => { clearTimeout(timer); reject(jobSignal.reason); };
+    const timer   = setTimeout(() => { jobSignal.removeEventListener('abort', onAbort); resolve(); }, ms);
+    jobSignal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// =====================================================================
+// PROGRESS
+// Structured progress for whoever drives the pipeline (worker.js forwards
+// it over IPC). Updates merge into one snapshot: { stage, scenesDone,
+// scenesTotal, ttsDone, ttsTotal, encodePercent }. Silence trimming runs
+// per scene, so it is part of 'render'; 'audio' is loudness + mixdown.
+// =====================================================================
+const PROGRESS_STAGES = ['parse', 'tts', 'plugs', 'render', 'audio', 'encode'];
+let progressListener  = null;
+let progress          = {};
+
+function onProgress(fn) {
+  progressListener = fn;
+}
+
+function reportProgress(update) {
+  progress = { ...progress, ...update };
+  if (progressListener) progressListener({ ...progress });
+}
+
 // =====================================================================
 // VOICE MAP (AI33Pro / ElevenLabs)
 // =====================================================================
@@ -196,89 +331,135 @@ const AI33PRO_VOICE_MAP = {
   robot:    'D38z5RcWu1voky8WS1ja',
 };
 
-function getVoiceId(speaker) {
-  return AI33PRO_VOICE_MAP[speaker.toLowerCase()] ||
-         Object.values(AI33PRO_VOICE_MAP)[0];
+function getVoiceId(speaker, voices = AI33PRO_VOICE_MAP) {
+  return voices[speaker.toLowerCase()] ||
+         Object.values(voices)[0];
 }
 
 // =====================================================================
-// TTS CACHE
+// VOICE BINDINGS — script header lines such as
+//   voice: mom  = rachel speed=1.0 stability=0.7
+//   voice: boss = id:XYZ
+//   voice: dad  = boost=off
+// bind a script speaker to a named voice or an engine-native voice ID,
+// plus settings layered over the provider defaults.
 // =====================================================================
-function ttsCachePath(text, speaker) {
-  fs.mkdirSync(TTS_CACHE_DIR, { recursive: true });
-  const hash = crypto.createHash('sha256').update(text, 'utf8').digest('hex').slice(0, 16);
-  const spkNorm = speaker.trim().toLowerCase();
-  return path.join(TTS_CACHE_DIR, `${spkNorm}_${hash}.mp3`);
-}
+const VOICE_SETTING_KEYS = {
+  stability: 'number', similarity: 'number', style: 'number',
+  speed: 'number', pitch: 'number', boost: 'boolean',
+};
 
-async function genAi33ProAudio(apiKey, text, outPath, speaker) {
-  const cached = ttsCachePath(text, speaker);
-  if (fs.existsSync(cached) && fs.statSync(cached).size > 0) {
-    console.log(`[TTS CACHE] HIT  → ${path.basename(cached)}`);
-    fs.copyFileSync(cached, outPath);
-    return;
+// Returns { speaker, binding: { voice, voiceId, settings }, problems };
+// bad pairs are skipped and listed in problems for the validator.
+function parseVoiceBinding(speakerRaw, spec) {
+  const tokens   = spec.trim().split(/\s+/);
+  const binding  = { voice: null, voiceId: null, settings: {} };
+  const problems = [];
+
+  if (!tokens[0].includes('=')) {
+    const target = tokens.shift();
+    const mId    = /^id:(.+)$/i.exec(target);
+    if (mId) binding.voiceId = mId[1];
+    else     binding.voice   = target.toLowerCase();
+  }
+
+  for (const pair of tokens) {
+    const eq   = pair.indexOf('=');
+    const key  = eq > 0 ? pair.slice(0, eq).toLowerCase() : pair;
+    const val  = eq > 0 ? pair.slice(eq + 1) : '';
+    const type = VOICE_SETTING_KEYS[key];
+    if (!type || !val) {
+      problems.push(`Unknown voice setting '${pair}' (expected ${Object.keys(VOICE_SETTING_KEYS).map(k => k + '=…').join(', ')}).`);
+    } else if (type === 'boolean') {
+      if (/^(on|true|yes|1)$/i.test(val))       binding.settings[key] = true;
+      else if (/^(off|false|no|0)$/i.test(val)) binding.settings[key] = false;
+      else problems.push(`Voice setting '${key}' must be on or off, got '${val}'.`);
+    } else if (Number.isFinite(parseFloat(val))) {
+      binding.settings[key] = parseFloat(val);
+    } else {
+      problems.push(`Voice setting '${key}' must be a number, got '${val}'.`);
+    }
   }
-  console.log(`[TTS CACHE] MISS → calling AI33Pro for speaker='${speaker}'`);
+  return { speaker: speakerRaw.trim().toLowerCase(), binding, problems };
+}
+
+// Script bindings win over the provider's name → voice map; `id:` passes an
+// engine-native voice ID straight through (an espeak voice for local).
+function resolveVoice(provider, speaker, binding) {
+  if (binding && binding.voiceId) return binding.voiceId;
+  return getVoiceId((binding && binding.voice) || speaker, provider.voices);
+}
+
+// =====================================================================
+// AI33PRO TTS (async — submit a task, then poll it)
+// =====================================================================
+const AI33PRO_POLL_MS     = 600;
+const AI33PRO_TIMEOUT_MS  = Math.max(1, parseFloat(process.env.AI33PRO_TIMEOUT_S || '180')) * 1000;
+const AI33PRO_POLL_ERRORS = 5;   // consecutive transient poll failures tolerated
+
+async function genAi33ProAudio(apiKey, text, outPath, voiceId, settings = TTS_PROVIDERS.ai33pro.settings) {
+  console.log(`[TTS] calling AI33Pro for voice=${voiceId}`);
 
-  const voiceId = getVoiceId(speaker);
   const url = `https://api.ai33.pro/v1/text-to-speech/${voiceId}?output_format=mp3_44100_128`;
   const headers = { 'xi-api-key': apiKey, 'Content-Type': 'application/json' };
   const payload = {
     text,
-    model_id: 'eleven_multilingual_v2',
+    model_id: TTS_PROVIDERS.ai33pro.model,
     voice_settings: {
-      stability: 0.5, similarity: 0.75, exaggeration: 0.0,
-      speed: 1.17, style: 0.5, speaker_boost: true,
+      stability: settings.stability, similarity: settings.similarity, exaggeration: 0.0,
+      speed: settings.speed, style: settings.style, speaker_boost: settings.boost,
     },
     with_transcript: false,
   };
 
-  const resp = await axios.post(url, payload, { headers, timeout: 30000 });
+  const resp = await axios.post(url, payload, { headers, timeout: 30000, signal: jobSignal });
   if (resp.status !== 200) throw new Error(`AI33Pro TTS failed: ${JSON.stringify(resp.data)}`);
 
-  const taskId  = resp.data.task_id;
-  const taskUrl = `https://api.ai33.pro/v1/task/${taskId}`;
+  const taskId   = resp.data.task_id;
+  const taskUrl  = `https://api.ai33.pro/v1/task/${taskId}`;
+  const deadline = Date.now() + AI33PRO_TIMEOUT_MS;
 
   let audioUrl;
-  while (true) {
-    await new Promise(r => setTimeout(r, 600));
-    const taskResp = await axios.get(taskUrl, { headers });
-    const data = taskResp.data;
-    if (data.status === 'done') { audioUrl = data.metadata.audio_url; break; }
-    if (data.status === 'error') throw new Error(data.error_message);
+  let lastStatus = 'queued';
+  let pollErrors = 0;
+  while (!audioUrl) {
+    if (Date.now() > deadline) {
+      throw new Error(`AI33Pro task ${taskId} still '${lastStatus}' after ${AI33PRO_TIMEOUT_MS / 1000}s`);
+    }
+    await sleep(AI33PRO_POLL_MS);
+
+    let data;
+    try {
+      data = (await axios.get(taskUrl, { headers, timeout: 15000, signal: jobSignal })).data;
+      pollErrors = 0;
+    } catch (err) {
+      if (jobSignal.aborted || !isRetryableTTSError(err) || ++pollErrors > AI33PRO_POLL_ERRORS) throw err;
+      console.log(`[TTS] AI33Pro poll error ${pollErrors}/${AI33PRO_POLL_ERRORS} for task ${taskId}: ${err.message}`);
+      continue;
+    }
+    lastStatus = data.status;
+    if (data.status === 'done')  audioUrl = data.metadata.audio_url;
+    if (data.status === 'error') throw new Error(`AI33Pro task ${taskId} failed: ${data.error_message}`);
   }
 
-  const audioResp = await axios.get(audioUrl, { responseType: 'arraybuffer', timeout: 60000 });
-  const buf = Buffer.from(audioResp.data);
-  fs.writeFileSync(outPath, buf);
-  fs.writeFileSync(cached, buf);
-  console.log(`[TTS CACHE] SAVED → ${path.basename(cached)}`);
+  const audioResp = await axios.get(audioUrl, { responseType: 'arraybuffer', timeout: 60000, signal: jobSignal });
+  fs.writeFileSync(outPath, Buffer.from(audioResp.data));
 }
 
 // =====================================================================
 // ELEVENLABS TTS (direct — synchronous response, no task queue)
 // =====================================================================
-async function genElevenLabsAudio(apiKey, text, outPath, speaker) {
-  const cached = ttsCachePath(text + '__el', speaker);
-  if (fs.existsSync(cached) && fs.statSync(cached).size > 0) {
-    console.log(`[TTS CACHE] HIT  \u2192 ${path.basename(cached)} (ElevenLabs)`);
-    fs.copyFileSync(cached, outPath);
-    return;
-  }
-  console.log(`[TTS CACHE] MISS \u2192 calling ElevenLabs for speaker='${speaker}'`);
+async function genElevenLabsAudio(apiKey, text, outPath, voiceId, settings = TTS_PROVIDERS.elevenlabs.settings) {
+  console.log(`[TTS] calling ElevenLabs for voice=${voiceId}`);
 
-  const voiceId = getVoiceId(speaker);
   const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}?output_format=mp3_44100_128`;
   const headers = { 'xi-api-key': apiKey, 'Content-Type': 'application/json' };
   const payload = {
     text,
-    model_id: 'eleven_multilingual_v2',
+    model_id: TTS_PROVIDERS.elevenlabs.model,
     voice_settings: {
-      stability: 0.5,
-      similarity_boost: 0.75,
-      speed: 1.17,
-      style: 0.5,
-      use_speaker_boost: true,
+      stability: settings.stability, similarity_boost: settings.similarity,
+      speed: settings.speed, style: settings.style, use_speaker_boost: settings.boost,
     },
   };
 
@@ -286,6 +467,7 @@ async function genElevenLabsAudio(apiKey, text, outPath, speaker) {
     headers,
     timeout: 60000,
     responseType: 'arraybuffer',
+    signal: jobSignal,
   });
   if (resp.status !== 200) {
     const msg = resp.status === 402
@@ -294,22 +476,221 @@ async function genElevenLabsAudio(apiKey, text, outPath, speaker) {
     throw new Error(msg);
   }
 
-  const buf = Buffer.from(resp.data);
-  fs.writeFileSync(outPath, buf);
-  fs.writeFileSync(cached, buf);
-  console.log(`[TTS CACHE] SAVED \u2192 ${path.basename(cached)} (ElevenLabs)`);
+  fs.writeFileSync(outPath, Buffer.from(resp.data));
+}
+
+// =====================================================================
+// LOCAL TTS (espeak-ng — offline, no API key, for drafts and tests)
+// Speakers map onto espeak voice variants so each one stays distinct.
+// =====================================================================
+const LOCAL_TTS_BIN = process.env.LOCAL_TTS_BIN || 'espeak-ng';
+const LOCAL_FEMALE  = new Set([
+  'alice', 'bella', 'jessica', 'laura', 'lily', 'matilda', 'muskan', 'sarah', 'cassidy',
+  'river', 'charlotte', 'dorothy', 'emily', 'ella', 'nancy', 'rachel', 'sophie',
+]);
+const LOCAL_VOICE_MAP = Object.fromEntries(Object.keys(AI33PRO_VOICE_MAP).map((name, i) => [
+  name,
+  name === 'robot'         ? 'en-us+klatt'
+  : LOCAL_FEMALE.has(name) ? `en-us+f${i % 5 + 1}`
+  :                          `en-us+m${i % 7 + 1}`,
+]));
+
+async function genLocalAudio(apiKey, text, outPath, voice, settings = TTS_PROVIDERS.local.settings) {
+  const rawWav = outPath.replace(/\.\w+$/, '') + '_local.wav';
+  console.log(`[TTS LOCAL] ${LOCAL_TTS_BIN} voice=${voice}`);
+
+  const r = spawnSync(LOCAL_TTS_BIN, [
+    '-v', voice, '-s', String(Math.round(175 * settings.speed)), '-p', String(Math.round(settings.pitch)),
+    '-w', rawWav, '--stdin',
+  ], { input: text, encoding: 'utf8' });
+  if (r.error) throw new Error(`Local TTS engine '${LOCAL_TTS_BIN}' not found — install espeak-ng or set LOCAL_TTS_BIN`);
+  if (r.status !== 0) throw new Error(`Local TTS failed for voice=${voice}: ${(r.stderr || '').trim()}`);
+
+  // Same container as the network providers so the SFX concat can stream-copy
+  const enc = spawnSync('ffmpeg', [
+    '-y', '-i', rawWav, '-ar', '44100', '-ac', '1', '-c:a', 'libmp3lame', '-b:a', '128k', outPath,
+  ], { encoding: 'utf8' });
+  fs.rmSync(rawWav, { force: true });
+  if (enc.status !== 0) throw new Error(`Local TTS encode failed: ${(enc.stderr || '').slice(-300)}`);
+}
+
+// =====================================================================
+// TTS PROVIDERS
+// Each entry declares its voice map, model, default voice settings (in the
+// VOICE_SETTING_KEYS vocabulary), the settings it honours with their valid
+// [min, max] (null: not numeric), whether it needs an API key, and
+// synthesize(apiKey, text, outPath, voice, settings) which writes an MP3 to
+// outPath. TTS_PROVIDER env var picks one.
+// =====================================================================
+const ELEVEN_RANGES = { stability: [0, 1], similarity: [0, 1], style: [0, 1], speed: [0.7, 1.2], boost: null };
+
+const TTS_PROVIDERS = {
+  ai33pro: {
+    label: 'AI33Pro', needsApiKey: true, voices: AI33PRO_VOICE_MAP,
+    model: 'eleven_multilingual_v2',
+    settings: { stability: 0.5, similarity: 0.75, style: 0.5, speed: 1.17, boost: true },
+    ranges: ELEVEN_RANGES,
+    synthesize: genAi33ProAudio,
+  },
+  elevenlabs: {
+    label: 'ElevenLabs', needsApiKey: true, voices: AI33PRO_VOICE_MAP,
+    model: 'eleven_multilingual_v2',
+    settings: { stability: 0.5, similarity: 0.75, style: 0.5, speed: 1.17, boost: true },
+    ranges: ELEVEN_RANGES,
+    synthesize: genElevenLabsAudio,
+  },
+  local: {
+    label: 'Local (espeak-ng)', needsApiKey: false, voices: LOCAL_VOICE_MAP,
+    model: LOCAL_TTS_BIN,
+    settings: { speed: 1.0, pitch: 50 },   // 175 wpm at speed=1
+    ranges: { speed: [0.5, 2.5], pitch: [0, 99] },
+    synthesize: genLocalAudio,
+  },
+};
+const DEFAULT_TTS_PROVIDER = 'ai33pro';
+
+function getTTSProvider(key = process.env.TTS_PROVIDER || DEFAULT_TTS_PROVIDER) {
+  const id       = key.toLowerCase();
+  const provider = TTS_PROVIDERS[id];
+  if (!provider) {
+    throw new Error(`Unknown TTS provider '${key}' (expected ${Object.keys(TTS_PROVIDERS).join('|')})`);
+  }
+  return { id, ...provider };
+}
+
+// Every provider goes through the shared cache (tts_cache.js), keyed on
+// everything that changes the audio — settings the provider ignores are
+// dropped first. binding: the speaker's `voice:` line.
+async function genTTSAudio(apiKey, text, outPath, speaker, binding = null) {
+  const provider = getTTSProvider();
+  const voice    = resolveVoice(provider, speaker, binding);
+  const settings = {};
+  for (const [k, v] of Object.entries({ ...provider.settings, ...(binding ? binding.settings : {}) })) {
+    if (k in provider.ranges) settings[k] = v;
+  }
+  const key = ttsCache.cacheKey({ provider: provider.id, voice, model: provider.model, settings, text });
+  if (ttsCache.lookup(key, outPath)) {
+    console.log(`[TTS CACHE] HIT  → ${key.slice(0, 16)} (${provider.label}, '${speaker}')`);
+    return;
+  }
+  await provider.synthesize(apiKey, text, outPath, voice, settings);
+  ttsCache.store(key, outPath);
+  console.log(`[TTS CACHE] SAVED → ${key.slice(0, 16)} (${provider.label}, '${speaker}')`);
 }
 
 // =====================================================================
-// UNIFIED TTS DISPATCHER
-// Reads TTS_PROVIDER env var: 'elevenlabs' | 'ai33pro' (default)
+// TTS PRE-PASS
+// Every spoken line is synthesized up front, TTS_CONCURRENCY at a time, so
+// the scene loop only reads finished clips. 429 / 5xx / dropped connections
+// retry with exponential backoff; failures are reported per script line.
 // =====================================================================
-async function genTTSAudio(apiKey, text, outPath, speaker) {
-  const provider = (process.env.TTS_PROVIDER || 'ai33pro').toLowerCase();
-  if (provider === 'elevenlabs') {
-    return genElevenLabsAudio(apiKey, text, outPath, speaker);
+const TTS_CONCURRENCY = Math.max(1, parseInt(process.env.TTS_CONCURRENCY || '4', 10));
+const TTS_RETRIES     = Math.max(0, parseInt(process.env.TTS_RETRIES     || '4', 10));
+const TTS_BACKOFF_MS  = 1000;
+const TTS_RETRY_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+function ttsKey(speaker, text) {
+  return `${speaker.trim().toLowerCase()}\n${text}`;
+}
+
+// Mirrors the scene loop: only lines that actually reach the TTS provider
+function collectTTSLines(threads) {
+  const lines = new Map();
+  const add = (speaker, text, lineNo) => {
+    const key = ttsKey(speaker, text);
+    if (!lines.has(key)) lines.set(key, { speaker, text, lineNos: [] });
+    lines.get(key).lineNos.push(lineNo);
+  };
+
+  for (const { messages } of threads) {
+    for (const m of messages) {
+      if (m.is_break || m.is_typing || m.is_react || m.is_time || m.is_receipt) continue;
+      if (m.is_plug || m.is_rizz) {
+        const k = m.is_plug ? 'plug' : 'rizz';
+        if (!m[`${k}say_silent`]) {
+          add(m[`${k}say_speaker`], m[`${k}say_tts_text`] || stripBlurMarkers(m[`${k}say_text`]), m[`${k}say_line_no`]);
+        }
+        if (!m[`${k}_silent`]) add(m.speaker, m.tts_text || stripBlurMarkers(m.text), m.line_no);
+        continue;
+      }
+      const isImg = !m.audio_only && isImageMessage(stripBlurMarkers(m.text))[0];
+      if (isImg || /^[.\s…]+$/.test(m.text || '')) continue;   // these play the sent/received SFX
+      add(m.speaker, m.tts_text || stripBlurMarkers(m.text || ''), m.line_no);
+    }
+  }
+  return [...lines.values()];
+}
+
+function isRetryableTTSError(err) {
+  const status = err.response && err.response.status;
+  if (status) return status === 429 || status >= 500;
+  return TTS_RETRY_CODES.includes(err.code);
+}
+
+async function genTTSWithRetry(apiKey, text, outPath, speaker, binding) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await genTTSAudio(apiKey, text, outPath, speaker, binding);
+    } catch (err) {
+      if (jobSignal.aborted) throw jobSignal.reason;
+      if (attempt >= TTS_RETRIES || !isRetryableTTSError(err)) throw err;
+      const retryAfter = parseFloat(err.response?.headers?.['retry-after']) * 1000;
+      const delay      = Math.max(retryAfter || 0, TTS_BACKOFF_MS * 2 ** attempt) + Math.random() * 250;
+      console.log(`[TTS] ${err.response ? `HTTP ${err.response.status}` : err.code} for '${speaker}' — ` +
+                  `retry ${attempt + 1}/${TTS_RETRIES} in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Returns Map ttsKey(speaker, text) → mp3 path. Throws once every line has
+// been tried, listing each failed line, so one bad line doesn't hide others.
+async function synthesizeAllTTS(threads, voiceBindings, apiKey, tmpDir) {
+  const lines    = collectTTSLines(threads);
+  const clips    = new Map();
+  const failures = [];
+  const bindingOf = speaker => voiceBindings[speaker.trim().toLowerCase()] || null;
+  let next = 0;
+  let done = 0;
+  console.log(`[TTS] ${lines.length} unique line(s), concurrency ${TTS_CONCURRENCY}`);
+  reportProgress({ ttsDone: 0, ttsTotal: lines.length });
+
+  const provider = getTTSProvider();
+  const fallback = Object.keys(provider.voices)[0];
+  const warned   = new Set();
+  for (const { speaker, lineNos } of lines) {
+    const binding = bindingOf(speaker);
+    const name    = (binding && binding.voice) || speaker.trim().toLowerCase();
+    if ((binding && binding.voiceId) || provider.voices[name] || warned.has(name)) continue;
+    warned.add(name);
+    console.warn(`[VOICE] Unknown voice '${name}' (line ${lineNos[0]}) — falling back to '${fallback}'. ` +
+                 `Bind it with 'voice: ${speaker.trim()} = <voice>'.`);
+  }
+
+  const worker = async () => {
+    while (next < lines.length && !jobSignal.aborted) {
+      const idx = next++;
+      const { speaker, text, lineNos } = lines[idx];
+      const outPath = path.join(tmpDir, `tts_${String(idx).padStart(4, '0')}.mp3`);
+      try {
+        await genTTSWithRetry(apiKey, text, outPath, speaker, bindingOf(speaker));
+        clips.set(ttsKey(speaker, text), outPath);
+      } catch (err) {
+        const status = err.response ? `HTTP ${err.response.status}: ` : '';
+        failures.push(`line ${lineNos.join(', ')} (${speaker}): ${status}${err.message}`);
+      }
+      reportProgress({ ttsDone: ++done });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(TTS_CONCURRENCY, lines.length) }, worker));
+  const { removed } = ttsCache.evict();
+  if (removed) console.log(`[TTS CACHE] Evicted ${removed} least recently used clip(s)`);
+  jobSignal.throwIfAborted();
+
+  if (failures.length) {
+    throw new Error(`TTS failed for ${failures.length} line(s):\n  ${failures.join('\n  ')}`);
   }
-  return genAi33ProAudio(apiKey, text, outPath, speaker);
+  return clips;
 }
 
 // =====================================================================
@@ -389,50 +770,106 @@ function resolveSfxPath(sfxName, baseDir) {
 // =====================================================================
 // PARSING: script file → threads
 // =====================================================================
+const SCRIPT_PATTERNS = {
+  group:   /^iMessageGroup[:\s]+(.+)$/i,
+  thread:  /^iMessage[:\s]+([^:]+)(?:\s*:\s*(.+))?$/i,
+  um:      /^UM[:\s]+(\d+)$/i,
+  cr:      /^CR[:\s]+(\d+)$/i,
+  page:    /^PAGE[:\s]+(auto|scroll|\d+)$/i,
+  plugsay: /^plugsay\s*>\s*([^:]+)\s*:\s*(.+)$/i,
+  plug:    /^plug\s*>\s*([^:]+)\s*:\s*(.+)$/i,
+  rizzsay: /^rizzsay\s*>\s*([^:]+)\s*:\s*(.+)$/i,
+  rizz:    /^rizz\s*>\s*([^:]+)\s*:\s*(.+)$/i,
+  typing:  /^typing\s*>\s*([^:]+)\s*:\s*(\d+(?:\.\d+)?)\s*s?$/i,
+  time:     /^time\s*:\s*(.+)$/i,
+  receipts: /^receipts?\s*:\s*(delivered|read|off)(?:\s+(.+))?$/i,
+  voice:   /^voice\s*:\s*([^=]+?)\s*=\s*(.+)$/i,
+  react:   /^react\s*>\s*([^:]+)\s*:\s*(\S+?)\s*(?:@\s*-?(\d+))?\s*(?:\[([^\]]+)\])?$/i,
+  brk:     /^<break\s*:\s*(\d+(?:\.\d+)?)\s*s\s*:?>$/i,
+};
+
+const TAPBACK_ALIASES = {
+  '❤️': 'heart',    '❤': 'heart',     heart: 'heart',   love: 'heart',
+  '👍': 'like',     like: 'like',
+  '👎': 'dislike',  dislike: 'dislike',
+  '😂': 'haha',     haha: 'haha',     laugh: 'haha',
+  '‼️': 'emphasis', '‼': 'emphasis',  '!!': 'emphasis', emphasis: 'emphasis',
+  '❓': 'question', '?': 'question',  question: 'question',
+};
+
+// "The Squad : jess=jess.png, sam, alex=alex.jpg" → { title, members }
+// Without a title segment the header reads "3 People", like iOS.
+function parseGroupHeader(spec) {
+  const colIdx     = spec.indexOf(':');
+  const title      = colIdx !== -1 ? spec.slice(0, colIdx).trim() : '';
+  const memberSpec = colIdx !== -1 ? spec.slice(colIdx + 1) : spec;
+  const members = memberSpec.split(',')
+    .map(e => e.trim())
+    .filter(Boolean)
+    .map(e => {
+      const eq = e.indexOf('=');
+      if (eq === -1) return { name: e, avatar: null };
+      return { name: e.slice(0, eq).trim(), avatar: e.slice(eq + 1).trim() || null };
+    });
+  return { title: title || `${members.length} People`, members };
+}
+
 function parseFileSettingsAndThreads(filename) {
   const lines = fs.readFileSync(filename, 'utf8')
     .split('\n')
-    .map(l => l.trim())
-    .filter(Boolean);
+    .map((l, i) => [i + 1, l.trim()])
+    .filter(([, l]) => l);
 
   let unreadCount    = '999999+';
-  let uiCornerRadius = 50;
+  let uiCornerRadius = px(33.5);
+  let pageMode       = 'auto';   // 'auto' (fit to screen height), 'scroll', or a fixed entry count
+  const voiceBindings = {};      // lower-case speaker → parseVoiceBinding().binding
   const threads      = [];
   let currentContact = null;
   let currentMsgs    = [];
   let contactAvatar  = null;
+  let groupMembers   = null;
 
-  const patThread   = /^iMessage[:\s]+([^:]+)(?:\s*:\s*(.+))?$/i;
-  const patUm       = /^UM[:\s]+(\d+)$/i;
-  const patCr       = /^CR[:\s]+(\d+)$/i;
-  const patPlugsay  = /^plugsay\s*>\s*([^:]+)\s*:\s*(.+)$/i;
-  const patPlug     = /^plug\s*>\s*([^:]+)\s*:\s*(.+)$/i;
-  const patRizzsay  = /^rizzsay\s*>\s*([^:]+)\s*:\s*(.+)$/i;
-  const patRizz     = /^rizz\s*>\s*([^:]+)\s*:\s*(.+)$/i;
-  const patBreak    = /^<break\s*:\s*(\d+(?:\.\d+)?)\s*s\s*:?>$/i;
+  const {
+    group: patGroup, thread: patThread, um: patUm, cr: patCr, page: patPage,
+    plugsay: patPlugsay, plug: patPlug,
+    rizzsay: patRizzsay, rizz: patRizz, brk: patBreak, typing: patTyping,
+    react: patReact, time: patTime, receipts: patReceipts, voice: patVoice,
+  } = SCRIPT_PATTERNS;
 
-  // First pass: filter UM / CR
+  // First pass: filter UM / CR / PAGE / voice
   const filteredLines = [];
-  for (const line of lines) {
+  for (const [lineNo, line] of lines) {
     const mUm = patUm.exec(line);
     const mCr = patCr.exec(line);
+    const mPg = patPage.exec(line);
+    const mVo = patVoice.exec(line);
     if (mUm) { unreadCount = mUm[1]; }
-    else if (mCr) { uiCornerRadius = Math.round(parseInt(mCr[1]) * 1.5); }
-    else { filteredLines.push(line); }
+    else if (mCr) { uiCornerRadius = px(parseInt(mCr[1])); }
+    else if (mPg) {
+      const v = mPg[1].toLowerCase();
+      pageMode = (v === 'auto' || v === 'scroll') ? v : Math.max(1, parseInt(v, 10));
+    }
+    else if (mVo) {
+      const { speaker, binding } = parseVoiceBinding(mVo[1], mVo[2]);
+      voiceBindings[speaker] = binding;
+    }
+    else { filteredLines.push([lineNo, line]); }
   }
 
   let pendingPlugsay = null;
   let pendingRizzsay = null;
 
-  for (const line of filteredLines) {
+  for (const [lineNo, line] of filteredLines) {
     if (/^rizz_say:/i.test(line) || /^rizz:/i.test(line)) continue;
+    const addMsg = msg => currentMsgs.push({ ...msg, line_no: lineNo });
 
     // <break:Ns>
     const mBr = patBreak.exec(line);
     if (mBr) {
       const durationS = parseFloat(mBr[1]);
       if (currentContact !== null) {
-        currentMsgs.push({
+        addMsg({
           sender: '__break__', speaker: '__break__',
           text: '', tts_text: '', sfx: null,
           audio_only: false, is_plug: false,
@@ -443,6 +880,64 @@ function parseFileSettingsAndThreads(filename) {
       continue;
     }
 
+    // typing> sender: Ns
+    const mTy = patTyping.exec(line);
+    if (mTy) {
+      if (currentContact !== null) {
+        const sender = mTy[1].trim();
+        addMsg({
+          sender, speaker: '__typing__',
+          text: '', tts_text: '', sfx: null,
+          audio_only: false, is_plug: false,
+          is_typing: true, duration_s: parseFloat(mTy[2]),
+        });
+      }
+      continue;
+    }
+
+    // react> sender: ❤️ @-2 [sfx]
+    const mRe = patReact.exec(line);
+    if (mRe) {
+      if (currentContact !== null) {
+        addMsg({
+          sender: mRe[1].trim(), speaker: '__react__',
+          text: '', tts_text: '', sfx: mRe[4] ? mRe[4].trim() : null,
+          audio_only: false, is_plug: false,
+          is_react: true,
+          reaction: TAPBACK_ALIASES[mRe[2].toLowerCase()] || null,
+          target: -parseInt(mRe[3] || '1', 10),
+        });
+      }
+      continue;
+    }
+
+    // time: Today 9:41 PM  → centred separator row
+    const mTi = patTime.exec(line);
+    if (mTi) {
+      if (currentContact !== null) {
+        addMsg({
+          sender: '__time__', speaker: '__time__',
+          text: mTi[1].trim(), tts_text: '', sfx: null,
+          audio_only: false, is_plug: false, is_time: true,
+        });
+      }
+      continue;
+    }
+
+    // receipts: delivered | read [9:41 PM] | off
+    const mRc = patReceipts.exec(line);
+    if (mRc) {
+      if (currentContact !== null) {
+        addMsg({
+          sender: '__receipt__', speaker: '__receipt__',
+          text: '', tts_text: '', sfx: null,
+          audio_only: false, is_plug: false, is_receipt: true,
+          mode: mRc[1].toLowerCase(), read_time: mRc[2] ? mRc[2].trim() : null,
+        });
+      }
+      continue;
+    }
+
     // plugsay
     const mPs = patPlugsay.exec(line);
     if (mPs) {
@@ -453,6 +948,7 @@ function parseFileSettingsAndThreads(filename) {
         speaker: rawSpeaker, text: psBubble,
         tts_text: stripBlurMarkers(psTts), sfx: psSfx,
         plugsay_silent: rawSpeaker.toLowerCase() === 'none',
+        line_no: lineNo,
       };
       continue;
     }
@@ -463,7 +959,7 @@ function parseFileSettingsAndThreads(filename) {
       const plugSpeaker = mP[1].trim();
       const [plugBubble, plugTts] = parseTtsOverride(mP[2].trim());
       if (currentContact !== null) {
-        currentMsgs.push({
+        addMsg({
           sender: 'plug', speaker: plugSpeaker,
           text: plugBubble, tts_text: stripBlurMarkers(plugTts),
           sfx: null, audio_only: false, is_plug: true,
@@ -473,6 +969,7 @@ function parseFileSettingsAndThreads(filename) {
           plugsay_tts_text: pendingPlugsay ? pendingPlugsay.tts_text   : '',
           plugsay_sfx:      pendingPlugsay ? pendingPlugsay.sfx        : null,
           plugsay_silent:   pendingPlugsay ? pendingPlugsay.plugsay_silent : false,
+          plugsay_line_no:  pendingPlugsay ? pendingPlugsay.line_no    : lineNo,
         });
       }
       pendingPlugsay = null;
@@ -489,6 +986,7 @@ function parseFileSettingsAndThreads(filename) {
         speaker: rawSpeaker, text: rsBubble,
         tts_text: stripBlurMarkers(rsTts), sfx: rsSfx,
         rizzsay_silent: rawSpeaker.toLowerCase() === 'none',
+        line_no: lineNo,
       };
       continue;
     }
@@ -499,7 +997,7 @@ function parseFileSettingsAndThreads(filename) {
       const rizzSpeaker = mR[1].trim();
       const [rizzBubble, rizzTts] = parseTtsOverride(mR[2].trim());
       if (currentContact !== null) {
-        currentMsgs.push({
+        addMsg({
           sender: 'rizz', speaker: rizzSpeaker,
           text: rizzBubble, tts_text: stripBlurMarkers(rizzTts),
           sfx: null, audio_only: false, is_plug: false, is_rizz: true,
@@ -509,20 +1007,30 @@ function parseFileSettingsAndThreads(filename) {
           rizzsay_tts_text: pendingRizzsay ? pendingRizzsay.tts_text      : '',
           rizzsay_sfx:      pendingRizzsay ? pendingRizzsay.sfx           : null,
           rizzsay_silent:   pendingRizzsay ? pendingRizzsay.rizzsay_silent : false,
+          rizzsay_line_no:  pendingRizzsay ? pendingRizzsay.line_no       : lineNo,
         });
       }
       pendingRizzsay = null;
       continue;
     }
 
-    // iMessage thread header
-    const mThread = patThread.exec(line);
-    if (mThread) {
+    // iMessageGroup / iMessage thread header
+    const mGroup  = patGroup.exec(line);
+    const mThread = mGroup ? null : patThread.exec(line);
+    if (mGroup || mThread) {
       if (currentContact && currentMsgs.length) {
-        threads.push({ contact: currentContact, messages: currentMsgs, avatar: contactAvatar });
+        threads.push({ contact: currentContact, messages: currentMsgs, avatar: contactAvatar, members: groupMembers });
+      }
+      if (mGroup) {
+        const { title, members } = parseGroupHeader(mGroup[1]);
+        currentContact = title;
+        contactAvatar  = null;
+        groupMembers   = members;
+      } else {
+        currentContact = mThread[1].trim();
+        contactAvatar  = mThread[2] ? mThread[2].trim() : null;
+        groupMembers   = null;
       }
-      currentContact = mThread[1].trim();
-      contactAvatar  = mThread[2] ? mThread[2].trim() : null;
       currentMsgs    = [];
       pendingPlugsay = null;
       pendingRizzsay = null;
@@ -540,7 +1048,7 @@ function parseFileSettingsAndThreads(filename) {
       const isAudioOnly    = senderStripped.toLowerCase() === 'audio';
       const [cleanText, sfxName] = parseTextWithSfx(textRaw);
       const [bubble, ttsRaw]     = parseTtsOverride(cleanText);
-      currentMsgs.push({
+      addMsg({
         sender: senderStripped, speaker: speakerSide.trim(),
         text: bubble, tts_text: stripBlurMarkers(ttsRaw),
         sfx: sfxName, audio_only: isAudioOnly, is_plug: false,
@@ -551,7 +1059,7 @@ function parseFileSettingsAndThreads(filename) {
       const textRaw = line.slice(colIdx + 1);
       const [cleanText, sfxName] = parseTextWithSfx(textRaw);
       const [bubble, ttsRaw]     = parseTtsOverride(cleanText);
-      currentMsgs.push({
+      addMsg({
         sender, speaker: sender,
         text: bubble, tts_text: stripBlurMarkers(ttsRaw),
         sfx: sfxName, audio_only: false, is_plug: false,
@@ -560,10 +1068,303 @@ function parseFileSettingsAndThreads(filename) {
   }
 
   if (currentContact && currentMsgs.length) {
-    threads.push({ contact: currentContact, messages: currentMsgs, avatar: contactAvatar });
+    threads.push({ contact: currentContact, messages: currentMsgs, avatar: contactAvatar, members: groupMembers });
+  }
+
+  return { unreadCount, uiCornerRadius, pageMode, voiceBindings, threads };
+}
+
+// =====================================================================
+// VALIDATION: script file → line-numbered diagnostics
+// Mirrors parseFileSettingsAndThreads line-for-line, but reports what
+// the parser would silently skip, drop or fall back on.
+// =====================================================================
+function validateScript(scriptPath, baseDir = path.dirname(scriptPath), ttsProvider) {
+  const rawLines    = fs.readFileSync(scriptPath, 'utf8').split('\n');
+  const diagnostics = [];
+  const report = (line, severity, message) => diagnostics.push({ line, severity, message });
+
+  const {
+    group: patGroup, thread: patThread, um: patUm, cr: patCr, page: patPage,
+    plugsay: patPlugsay, plug: patPlug,
+    rizzsay: patRizzsay, rizz: patRizz, brk: patBreak, typing: patTyping,
+    react: patReact, time: patTime, receipts: patReceipts, voice: patVoice,
+  } = SCRIPT_PATTERNS;
+
+  const { voices, ranges, label: providerLabel } = getTTSProvider(ttsProvider);
+  const fallbackVoice = Object.keys(voices)[0];
+
+  // voice: lines apply wherever they sit, so collect them before checking
+  // speakers. A binding to a named voice or id: is checked on its own line.
+  const bound = new Map();   // lower-case speaker → { lineNo, binding }
+  rawLines.forEach((raw, i) => {
+    const mVo = patVoice.exec(raw.trim());
+    if (mVo) {
+      const { speaker, binding } = parseVoiceBinding(mVo[1], mVo[2]);
+      bound.set(speaker, { lineNo: i + 1, binding });
+    }
+  });
+
+  function checkSpeaker(lineNo, speaker) {
+    const spk = speaker.trim();
+    if (!spk || spk.toLowerCase() === 'none') return;
+    const b = bound.get(spk.toLowerCase());
+    if (b && (b.binding.voice || b.binding.voiceId)) return;
+    if (!voices[spk.toLowerCase()]) {
+      report(lineNo, 'warning',
+        `Unknown speaker '${spk}' — voice falls back to '${fallbackVoice}'. Bind it with 'voice: ${spk} = <voice>'.`);
+    }
+  }
+
+  function checkAsset(lineNo, fname, kind) {
+    const fpath = path.isAbsolute(fname) ? fname : path.join(baseDir, fname);
+    if (!fs.existsSync(fpath)) report(lineNo, 'error', `Missing ${kind} '${fname}'.`);
+  }
+
+  function checkSfx(lineNo, sfxName) {
+    if (sfxName && !resolveSfxPath(sfxName, baseDir)) {
+      report(lineNo, 'error', `Missing sound effect '${sfxName}' (looked for '${sfxName}.mp3' and '${sfxName}').`);
+    }
+  }
+
+  function checkText(lineNo, text) {
+    if (!text.trim()) { report(lineNo, 'error', 'Empty message text.'); return; }
+    let depth = 0;
+    for (const ch of text) {
+      if (ch === '{') {
+        if (depth > 0) { report(lineNo, 'error', "Nested '{' in blur marker."); return; }
+        depth++;
+      } else if (ch === '}') {
+        if (depth === 0) { report(lineNo, 'error', "Unmatched '}' in blur marker."); return; }
+        depth--;
+      }
+    }
+    if (depth > 0) report(lineNo, 'error', "Unclosed '{' in blur marker.");
+  }
+
+  // Returns [bubble, tts, sfx] exactly as the parser would split them
+  function splitText(raw) {
+    const [cleanText, sfxName] = parseTextWithSfx(raw);
+    const [bubble, tts]        = parseTtsOverride(cleanText);
+    return [bubble, tts, sfxName];
+  }
+
+  let inThread       = false;
+  let threadBubbles  = 0;      // visible bubbles so far, for react> targets
+  let threadNames    = new Set();   // lower-case contact / member names, for time: collisions
+  let pendingPlugsay = null;   // line number of a plugsay> not yet consumed
+  let pendingRizzsay = null;
+
+  const orphan = (lineNo, kind, next) =>
+    report(lineNo, 'warning', `Orphaned ${kind}> line — no matching ${next}> follows it.`);
+  const outsideThread = lineNo =>
+    report(lineNo, 'error', "Line appears before the first 'iMessage:' header and is dropped.");
+
+  for (let i = 0; i < rawLines.length; i++) {
+    const lineNo = i + 1;
+    const line   = rawLines[i].trim();
+    if (!line) continue;
+
+    if (patUm.test(line) || patCr.test(line)) continue;
+    const mPg = patPage.exec(line);
+    if (mPg) {
+      if (mPg[1] === '0') report(lineNo, 'error', "PAGE must be 'auto' or at least 1.");
+      continue;
+    }
+    const mVo = patVoice.exec(line);
+    if (mVo) {
+      const { speaker, binding, problems } = parseVoiceBinding(mVo[1], mVo[2]);
+      for (const msg of problems) report(lineNo, 'error', msg);
+      for (const [key, val] of Object.entries(binding.settings)) {
+        const range = ranges[key];
+        if (!(key in ranges)) {
+          report(lineNo, 'warning', `Voice setting '${key}' is ignored by ${providerLabel}.`);
+        } else if (range && (val < range[0] || val > range[1])) {
+          report(lineNo, 'error', `Voice setting '${key}=${val}' is out of range for ${providerLabel} (${range[0]}–${range[1]}).`);
+        }
+      }
+      if (binding.voice && !voices[binding.voice]) {
+        report(lineNo, 'warning', `Unknown voice '${binding.voice}' for '${mVo[1].trim()}' — falls back to '${fallbackVoice}'.`);
+      }
+      if (bound.get(speaker).lineNo !== lineNo) {
+        report(lineNo, 'warning', `'${mVo[1].trim()}' is bound again on line ${bound.get(speaker).lineNo}; that line wins.`);
+      }
+      continue;
+    }
+    if (/^voice\s*:/i.test(line) && !line.includes('=')) {
+      report(lineNo, 'warning', "Line is read as a message from 'voice' — write 'voice: name = rachel' to bind a voice.");
+    }
+    if (/^PAGE\s*:/i.test(line)) {
+      report(lineNo, 'error', "Malformed PAGE setting — expected 'PAGE: auto', 'PAGE: scroll' or 'PAGE: 8'.");
+      continue;
+    }
+    if (/^rizz_say:/i.test(line) || /^rizz:/i.test(line)) {
+      report(lineNo, 'warning', 'Legacy rizz directive is ignored; use rizzsay> / rizz>.');
+      continue;
+    }
+
+    const mBr = patBreak.exec(line);
+    if (mBr) {
+      if (!inThread) outsideThread(lineNo);
+      continue;
+    }
+    if (/^<\s*break\b/i.test(line)) {
+      report(lineNo, 'error', "Malformed break tag — expected '<break:1.5s>'.");
+      continue;
+    }
+
+    if (patTyping.test(line)) {
+      if (!inThread) outsideThread(lineNo);
+      continue;
+    }
+    if (/^typing\s*>/i.test(line)) {
+      report(lineNo, 'error', "Malformed typing directive — expected 'typing> them: 1.5s'.");
+      continue;
+    }
+
+    const mRe = patReact.exec(line);
+    if (mRe) {
+      if (!inThread) outsideThread(lineNo);
+      if (!TAPBACK_ALIASES[mRe[2].toLowerCase()]) {
+        report(lineNo, 'error', `Unknown tapback '${mRe[2]}' — use ❤️ 👍 👎 😂 ‼️ ❓.`);
+      }
+      const back = parseInt(mRe[3] || '1', 10);
+      if (back < 1 || back > threadBubbles) {
+        report(lineNo, 'error', `Tapback target @-${back} does not point at an earlier bubble in this thread.`);
+      }
+      checkSfx(lineNo, mRe[4] ? mRe[4].trim() : null);
+      continue;
+    }
+    if (/^react\s*>/i.test(line)) {
+      report(lineNo, 'error', "Malformed react directive — expected 'react> them: ❤️ @-2'.");
+      continue;
+    }
+
+    if (patTime.test(line) && threadNames.has('time')) {
+      report(lineNo, 'warning',
+        "'time:' is read as a time separator, not a message from 'Time' — write 'Time>Time: …' for a message.");
+    }
+    if (patTime.test(line) || patReceipts.test(line)) {
+      if (!inThread) outsideThread(lineNo);
+      continue;
+    }
+    if (/^receipts?\s*:/i.test(line)) {
+      report(lineNo, 'error', "Unknown receipt mode — expected 'receipts: delivered', 'receipts: read 9:41 PM' or 'receipts: off'.");
+      continue;
+    }
+
+    const mPs = patPlugsay.exec(line);
+    if (mPs) {
+      if (pendingPlugsay) orphan(pendingPlugsay, 'plugsay', 'plug');
+      pendingPlugsay = lineNo;
+      const [bubble, , sfx] = splitText(mPs[2].trim());
+      checkSpeaker(lineNo, mPs[1]);
+      checkText(lineNo, bubble);
+      checkSfx(lineNo, sfx);
+      continue;
+    }
+
+    const mP = patPlug.exec(line);
+    if (mP) {
+      if (!inThread) outsideThread(lineNo);
+      pendingPlugsay = null;
+      checkSpeaker(lineNo, mP[1]);
+      checkText(lineNo, parseTtsOverride(mP[2].trim())[0]);
+      continue;
+    }
+
+    const mRs = patRizzsay.exec(line);
+    if (mRs) {
+      if (pendingRizzsay) orphan(pendingRizzsay, 'rizzsay', 'rizz');
+      pendingRizzsay = lineNo;
+      const [bubble, , sfx] = splitText(mRs[2].trim());
+      checkSpeaker(lineNo, mRs[1]);
+      checkText(lineNo, bubble);
+      checkSfx(lineNo, sfx);
+      continue;
+    }
+
+    const mR = patRizz.exec(line);
+    if (mR) {
+      if (!inThread) outsideThread(lineNo);
+      pendingRizzsay = null;
+      checkSpeaker(lineNo, mR[1]);
+      checkText(lineNo, parseTtsOverride(mR[2].trim())[0]);
+      continue;
+    }
+
+    const mGroup  = patGroup.exec(line);
+    const mThread = mGroup ? null : patThread.exec(line);
+    if (mGroup || mThread) {
+      if (pendingPlugsay) orphan(pendingPlugsay, 'plugsay', 'plug');
+      if (pendingRizzsay) orphan(pendingRizzsay, 'rizzsay', 'rizz');
+      pendingPlugsay = null;
+      pendingRizzsay = null;
+      inThread       = true;
+      threadBubbles  = 0;
+      threadNames    = new Set([(mThread ? mThread[1] : '').trim().toLowerCase()]);
+      if (mGroup) {
+        const { members } = parseGroupHeader(mGroup[1]);
+        threadNames = new Set(members.map(m => m.name.toLowerCase()));
+        if (members.length < 2) report(lineNo, 'warning', 'Group thread lists fewer than 2 members.');
+        for (const m of members) {
+          if (m.avatar) checkAsset(lineNo, m.avatar, 'avatar');
+        }
+      } else if (mThread[2]) {
+        checkAsset(lineNo, mThread[2].trim(), 'avatar');
+      }
+      continue;
+    }
+
+    if (!line.includes(':')) {
+      report(lineNo, 'warning', 'Unrecognised line is ignored (expected `sender: text` or a directive).');
+      continue;
+    }
+
+    if (/<break\b/i.test(line)) {
+      report(lineNo, 'error', '<break:Ns> must be on its own line; it is rendered as text here.');
+      continue;
+    }
+
+    let speaker, sender, textRaw;
+    const gtIdx = line.indexOf('>');
+    if (gtIdx !== -1) {
+      const colIdx = line.indexOf(':', gtIdx);
+      if (colIdx === -1) {
+        report(lineNo, 'warning', "'>' appears after ':' — the line is split as speaker>sender and will render garbled.");
+        continue;
+      }
+      speaker = line.slice(0, gtIdx);
+      sender  = line.slice(gtIdx + 1, colIdx).trim();
+      textRaw = line.slice(colIdx + 1);
+      if (!speaker.trim()) report(lineNo, 'warning', "Empty speaker before '>'.");
+    } else {
+      const colIdx = line.indexOf(':');
+      sender  = line.slice(0, colIdx).trim();
+      speaker = sender;
+      textRaw = line.slice(colIdx + 1);
+    }
+    if (!sender) report(lineNo, 'warning', "Empty sender before ':'.");
+    if (!inThread) outsideThread(lineNo);
+
+    const [bubble, , sfx] = splitText(textRaw);
+    checkText(lineNo, bubble);
+    checkSfx(lineNo, sfx);
+
+    const [isImg, fname] = isImageMessage(stripBlurMarkers(bubble));
+    const isDotsOnly     = /^[.\s…]+$/.test(bubble);
+    if (sender.toLowerCase() !== 'audio') threadBubbles++;
+    if (isImg) checkAsset(lineNo, fname, 'image');
+    else if (!isDotsOnly) checkSpeaker(lineNo, speaker);
   }
 
-  return { unreadCount, uiCornerRadius, threads };
+  if (pendingPlugsay) orphan(pendingPlugsay, 'plugsay', 'plug');
+  if (pendingRizzsay) orphan(pendingRizzsay, 'rizzsay', 'rizz');
+  if (!inThread) report(0, 'error', "No 'iMessage:' thread header found — nothing will render.");
+
+  diagnostics.sort((a, b) => a.line - b.line);
+  const errors = diagnostics.filter(d => d.severity === 'error').length;
+  return { ok: errors === 0, errors, warnings: diagnostics.length - errors, diagnostics };
 }
 
 // =====================================================================
@@ -776,14 +1577,14 @@ function boxBlurV(data, w, h, r) {
 // =====================================================================
 // BUBBLE IMAGE
 // =====================================================================
-function bubbleCanvas(text, sender, width = 630, fontSize = Math.round(28 * 1.5), showTail = true) {
+function bubbleCanvas(text, sender, width = px(420), fontSize = px(28), showTail = true) {
   ensureFont();
 
-  const FONT_SIZE = Math.max(fontSize, 46);
-  const padX   = 20;
-  const padTop = 20;
-  const padBot = 20;
-  const maxTW  = width - padX * 2 - Math.round(20 * 1.5);
+  const FONT_SIZE = Math.max(fontSize, px(30.5));
+  const padX   = px(13.5);
+  const padTop = px(13.5);
+  const padBot = px(13.5);
+  const maxTW  = width - padX * 2 - px(20);
 
   const displayNoBlur = stripBlurMarkers(text);
 
@@ -803,17 +1604,17 @@ function bubbleCanvas(text, sender, width = 630, fontSize = Math.round(28 * 1.5)
   const bubbleW    = Math.max(minBubbleW, Math.round(textW + padX * 2 + 4));
   const bubbleH    = Math.round(textH + padTop + padBot + 2);
 
-  const tailRoom = Math.round(20 * 1.5);
-  const imgW     = bubbleW + tailRoom + Math.round(5 * 1.5);
-  const imgH     = bubbleH + Math.round(8 * 1.5);
+  const tailRoom = px(20);
+  const imgW     = bubbleW + tailRoom + px(5);
+  const imgH     = bubbleH + px(8);
 
   const numLines = lines.length;
-  let br = numLines === 1 ? Math.round(23 * 1.5)
-         : numLines === 2 ? Math.round(21 * 1.5)
-                          : Math.round(19 * 1.5);
+  let br = numLines === 1 ? px(23)
+         : numLines === 2 ? px(21)
+                          : px(19);
   br = Math.min(br, Math.floor(bubbleH / 2) - 2, Math.floor(bubbleW / 2) - 2);
 
-  const SAFE = Math.round(5 * 1.5);
+  const SAFE = px(5);
 
   const colorArr = sender === 'me' ? THEME.bubble_sent : THEME.bubble_rcvd;
   const color    = rgb(colorArr);
@@ -839,13 +1640,13 @@ function bubbleCanvas(text, sender, width = 630, fontSize = Math.round(28 * 1.5)
   ctx.fill();
 
   if (showTail) {
-    const tailSX = 2.97;
-    const tailSY = 2.025;
-    const tailY  = oy + bubbleH - 36;
+    const tailSX = 2.97  * UI_SCALE / BASE_SCALE;
+    const tailSY = 2.025 * UI_SCALE / BASE_SCALE;
+    const tailY  = oy + bubbleH - px(24);
     if (sender === 'me') {
-      drawSvgTail(ctx, SVG_TAIL_PATH, [ox + bubbleW - 37, tailY], tailSX, tailSY, color);
+      drawSvgTail(ctx, SVG_TAIL_PATH, [ox + bubbleW - px(24.5), tailY], tailSX, tailSY, color);
     } else {
-      drawSvgTailFlipped(ctx, SVG_TAIL_PATH, [ox + 37, tailY], tailSX, tailSY, color);
+      drawSvgTailFlipped(ctx, SVG_TAIL_PATH, [ox + px(24.5), tailY], tailSX, tailSY, color);
     }
   }
 
@@ -880,12 +1681,12 @@ function bubbleCanvas(text, sender, width = 630, fontSize = Math.round(28 * 1.5)
       for (const [seg, isBlurred] of runs) {
         const segW = measureCtx.measureText(stripBlurMarkers(seg)).width;
         if (isBlurred && seg.trim()) {
-          const p   = 4;
+          const p   = px(2.5);
           const bx0 = Math.max(0,             Math.floor(btx) - p);
           const by0 = Math.max(0,             Math.floor(bty) - p);
           const bx1 = Math.min(canvas.width,  Math.ceil(btx + segW) + p);
           const by1 = Math.min(canvas.height, Math.ceil(bty + lineHeight) + p);
-          gaussianBlurRegion(ctx, bx0, by0, bx1, by1, 8);
+          gaussianBlurRegion(ctx, bx0, by0, bx1, by1, px(5.5));
           ctx.fillStyle = `rgba(${colorArr[0]},${colorArr[1]},${colorArr[2]},0.35)`;
           ctx.fillRect(bx0, by0, bx1 - bx0, by1 - by0);
         }
@@ -924,29 +1725,187 @@ function wrapTextPreservingBlur(text, ctx, maxWidth) {
 }
 
 // =====================================================================
-// IMAGE MESSAGE CLIP
+// TYPING INDICATOR BUBBLE
+// phase ∈ [0,1): each dot brightens in turn over one cycle
 // =====================================================================
-async function imageMessageClip(fname, sender, maxWidth = Math.round(200 * 1.5)) {
-  let fpath = path.isAbsolute(fname) ? fname : path.join(IMAGE_BASE_DIR, fname);
-  if (!fs.existsSync(fpath)) {
-    return bubbleCanvas(`[missing ${fname}]`, sender);
-  }
+function typingBubbleCanvas(sender, phase) {
+  ensureFont();
 
-  const srcBuf  = fs.readFileSync(fpath);
-  const meta    = await sharp(srcBuf).metadata();
-  let { width: w, height: h } = meta;
-  let resized = srcBuf;
+  const FONT_SIZE = px(30.5);
+  const bubbleH   = Math.round(FONT_SIZE * 1.22 + 2) + px(13.5) * 2 + 2;   // one-line bubble height
+  const bubbleW   = Math.round(bubbleH * 1.75);
+  const SAFE      = px(5);
+  const imgW      = bubbleW + px(20) + SAFE;
+  const imgH      = bubbleH + Math.round(bubbleH * 0.2);
 
-  if (w > maxWidth) {
-    const scale = maxWidth / w;
-    resized = await sharp(srcBuf).resize(Math.round(w * scale), Math.round(h * scale)).toBuffer();
+  const isMe     = sender === 'me';
+  const colorArr = isMe ? THEME.bubble_sent : THEME.bubble_rcvd;
+  const color    = rgb(colorArr);
+
+  const canvas = createCanvas(imgW, imgH);
+  const ctx    = canvas.getContext('2d');
+  ctx.fillStyle = rgb(THEME.chat_bg);
+  ctx.fillRect(0, 0, imgW, imgH);
+
+  const ox = isMe ? imgW - bubbleW - SAFE : SAFE + Math.round(bubbleH * 0.1);
+  const oy = 0;
+
+  ctx.fillStyle = color;
+  roundedRect(ctx, ox, oy, bubbleW, bubbleH, bubbleH / 2);
+  ctx.fill();
+
+  // Thought-bubble tail: one small circle on the corner, one smaller further out
+  const dir   = isMe ? 1 : -1;
+  const edgeX = isMe ? ox + bubbleW : ox;
+  ctx.beginPath();
+  ctx.arc(edgeX - dir * bubbleH * 0.12, oy + bubbleH - bubbleH * 0.06, bubbleH * 0.13, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.beginPath();
+  ctx.arc(edgeX + dir * bubbleH * 0.04, oy + bubbleH + bubbleH * 0.1, bubbleH * 0.065, 0, Math.PI * 2);
+  ctx.fill();
+
+  const dotR   = bubbleH * 0.09;
+  const gap    = dotR * 3;
+  const dotCx  = ox + bubbleW / 2;
+  const dotCy  = oy + bubbleH / 2;
+  const dotRgb = isMe ? '255,255,255' : THEME.meta_text_hex.match(/\w\w/g).map(h => parseInt(h, 16)).join(',');
+  for (let d = 0; d < 3; d++) {
+    const wave  = 0.5 + 0.5 * Math.sin(2 * Math.PI * (phase - d / 3));
+    ctx.fillStyle = `rgba(${dotRgb},${(0.35 + 0.65 * wave).toFixed(3)})`;
+    ctx.beginPath();
+    ctx.arc(dotCx + (d - 1) * gap, dotCy, dotR, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  return canvas;
+}
+
+// =====================================================================
+// TIMESTAMP SEPARATOR ROW: "**Today** 9:41 PM", centred in the chat
+// =====================================================================
+function timeSeparatorCanvas(text) {
+  ensureFont();
+  const FONT_SIZE = px(17);
+  const padY      = px(10);
+
+  const m    = /^(.*?)\s*(\d{1,2}:\d{2}\s*(?:AM|PM)?)$/i.exec(text);
+  const day  = m ? m[1] : '';
+  const time = m ? m[2] : text;
+
+  const measure = createCanvas(10, 10).getContext('2d');
+  measure.font = fontStr(FONT_SIZE, '600');
+  const dayW   = day ? measure.measureText(day + ' ').width : 0;
+  measure.font = fontStr(FONT_SIZE);
+  const timeW  = measure.measureText(time).width;
+
+  const canvas = createCanvas(Math.max(1, Math.ceil(dayW + timeW)), FONT_SIZE + padY * 2);
+  const ctx    = canvas.getContext('2d');
+  ctx.fillStyle = rgb(THEME.chat_bg);
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  ctx.fillStyle    = THEME.meta_text_hex;
+  ctx.textAlign    = 'left';
+  ctx.textBaseline = 'middle';
+  if (day) {
+    ctx.font = fontStr(FONT_SIZE, '600');
+    ctx.fillText(day + ' ', 0, canvas.height / 2);
+  }
+  ctx.font = fontStr(FONT_SIZE);
+  ctx.fillText(time, dayW, canvas.height / 2);
+  return canvas;
+}
+
+// =====================================================================
+// TAPBACK BADGES
+// Drawn at scene-composition time so earlier scenes stay badge-free
+// while the bubble clips themselves are reused.
+// =====================================================================
+function drawTapbackIcon(ctx, type, cx, cy, s, color) {
+  ctx.fillStyle    = color;
+  ctx.textAlign    = 'center';
+  ctx.textBaseline = 'middle';
+
+  if (type === 'heart') {
+    ctx.beginPath();
+    ctx.moveTo(cx, cy + s * 0.8);
+    ctx.bezierCurveTo(cx - s * 1.5, cy - s * 0.2, cx - s * 0.6, cy - s * 1.2, cx, cy - s * 0.4);
+    ctx.bezierCurveTo(cx + s * 0.6, cy - s * 1.2, cx + s * 1.5, cy - s * 0.2, cx, cy + s * 0.8);
+    ctx.fill();
+  } else if (type === 'like' || type === 'dislike') {
+    ctx.save();
+    ctx.translate(cx, cy);
+    if (type === 'dislike') ctx.scale(1, -1);
+    roundedRect(ctx, -s * 0.75, -s * 0.05, s * 0.3,  s * 0.85, s * 0.08);   // cuff
+    ctx.fill();
+    roundedRect(ctx, -s * 0.35, -s * 0.1,  s * 1.05, s * 0.9,  s * 0.22);   // fist
+    ctx.fill();
+    roundedRect(ctx, -s * 0.3,  -s * 0.9,  s * 0.4,  s * 0.95, s * 0.2);    // thumb
+    ctx.fill();
+    ctx.restore();
+  } else if (type === 'haha') {
+    ctx.font = fontStr(s * 0.85, 'bold');
+    ctx.fillText('HA', cx, cy - s * 0.4);
+    ctx.fillText('HA', cx, cy + s * 0.4);
+  } else if (type === 'emphasis') {
+    ctx.font = fontStr(s * 1.4, 'bold');
+    ctx.fillText('!!', cx, cy);
+  } else if (type === 'question') {
+    ctx.font = fontStr(s * 1.4, 'bold');
+    ctx.fillText('?', cx, cy);
+  }
+}
+
+// (cx, cy) is the badge centre; dir is +1 when the tail dots point left
+function drawTapbackBadge(ctx, reaction, cx, cy, r, dir) {
+  const bg   = reaction.fromMe ? THEME.tapback_sent_bg   : THEME.tapback_rcvd_bg;
+  const icon = reaction.fromMe ? THEME.tapback_sent_icon : THEME.tapback_rcvd_icon;
+  const ring = px(2);
+
+  const tail = [
+    [cx - dir * r * 0.7,  cy + r * 0.75, r * 0.22],
+    [cx - dir * r * 0.95, cy + r * 1.05, r * 0.1 ],
+  ];
+
+  ctx.fillStyle = rgb(THEME.chat_bg);
+  for (const [x, y, rr] of [[cx, cy, r], ...tail]) {
+    ctx.beginPath();
+    ctx.arc(x, y, rr + ring, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.fillStyle = rgb(bg);
+  for (const [x, y, rr] of [[cx, cy, r], ...tail]) {
+    ctx.beginPath();
+    ctx.arc(x, y, rr, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  drawTapbackIcon(ctx, reaction.type, cx, cy, r * 0.55, icon);
+}
+
+// =====================================================================
+// IMAGE MESSAGE CLIP
+// =====================================================================
+async function imageMessageClip(fname, sender, maxWidth = px(200)) {
+  let fpath = path.isAbsolute(fname) ? fname : path.join(IMAGE_BASE_DIR, fname);
+  if (!fs.existsSync(fpath)) {
+    return bubbleCanvas(`[missing ${fname}]`, sender);
+  }
+
+  const srcBuf  = fs.readFileSync(fpath);
+  const meta    = await sharp(srcBuf).metadata();
+  let { width: w, height: h } = meta;
+  let resized = srcBuf;
+
+  if (w > maxWidth) {
+    const scale = maxWidth / w;
+    resized = await sharp(srcBuf).resize(Math.round(w * scale), Math.round(h * scale)).toBuffer();
     w = Math.round(w * scale); h = Math.round(h * scale);
   }
 
-  const pad    = Math.round(12 * 1.5);
+  const pad    = px(12);
   const bgW    = w + pad * 2;
   const bgH    = h + pad * 2;
-  const radius = Math.round(24 * 1.5);
+  const radius = px(24);
 
   const imgRgba = await sharp(resized).ensureAlpha().toBuffer();
   const imgNode = await loadImage(imgRgba);
@@ -957,7 +1916,7 @@ async function imageMessageClip(fname, sender, maxWidth = Math.round(200 * 1.5))
   ctx.fillStyle = rgb(THEME.chat_bg);
   ctx.fillRect(0, 0, bgW, bgH);
 
-  roundedRect(ctx, pad, pad, w, h, Math.round(16 * 1.5));
+  roundedRect(ctx, pad, pad, w, h, px(16));
   ctx.clip();
   ctx.drawImage(imgNode, pad, pad, w, h);
   ctx.restore();
@@ -968,14 +1927,26 @@ async function imageMessageClip(fname, sender, maxWidth = Math.round(200 * 1.5))
 // =====================================================================
 // MAKE BUBBLE CLIPS
 // =====================================================================
-async function makeBubbleClips(msgs) {
-  const clips   = [], widths = [], heights = [], senders = [], isImgFlags = [];
+async function makeBubbleClips(msgs, members = null) {
+  const clips   = [], widths = [], heights = [], senders = [], isImgFlags = [], labels = [];
+
+  // Group threads: name label above a received bubble whenever the sender changes
+  const displayNames = new Map((members || []).map(m => [m.name.toLowerCase(), m.name]));
+  let prevVisibleSender = null;
 
   for (let i = 0; i < msgs.length; i++) {
     const msg = msgs[i];
-    if (msg.audio_only || msg.is_plug || msg.is_rizz || msg.is_break) {
+    if (msg.audio_only || msg.is_plug || msg.is_rizz || msg.is_break || msg.is_typing || msg.is_react || msg.is_receipt) {
       clips.push(null); widths.push(0); heights.push(0);
-      senders.push(msg.sender); isImgFlags.push(false);
+      senders.push(msg.sender); isImgFlags.push(false); labels.push(null);
+      continue;
+    }
+
+    if (msg.is_time) {
+      const clip = timeSeparatorCanvas(msg.text);
+      clips.push(clip); widths.push(clip.width); heights.push(clip.height);
+      senders.push(msg.sender); isImgFlags.push(false); labels.push(null);
+      prevVisibleSender = msg.sender;
       continue;
     }
 
@@ -986,7 +1957,7 @@ async function makeBubbleClips(msgs) {
     let isLast = true;
     for (let j = i + 1; j < msgs.length; j++) {
       const next = msgs[j];
-      if (next.is_plug || next.audio_only || next.is_break) continue;
+      if (next.is_plug || next.audio_only || next.is_break || next.is_typing || next.is_react || next.is_receipt) continue;
       if (next.sender === sender) isLast = false;
       break;
     }
@@ -997,14 +1968,18 @@ async function makeBubbleClips(msgs) {
       w = clip.width; h = clip.height;
       isImgFlags.push(true);
     } else {
-      clip = bubbleCanvas(msg.text, sender, 630, Math.round(28 * 1.5), isLast);
+      clip = bubbleCanvas(msg.text, sender, px(420), px(28), isLast);
       w = clip.width; h = clip.height;
       isImgFlags.push(false);
     }
 
+    const showLabel = members && sender !== 'me' && sender !== prevVisibleSender;
+    labels.push(showLabel ? (displayNames.get(sender.toLowerCase()) || sender) : null);
+    prevVisibleSender = sender;
+
     clips.push(clip); widths.push(w); heights.push(h); senders.push(sender);
   }
-  return { clips, widths, heights, senders, isImgFlags };
+  return { clips, widths, heights, senders, isImgFlags, labels };
 }
 
 function isImageMessage(text) {
@@ -1016,7 +1991,62 @@ function isImageMessage(text) {
 // =====================================================================
 // HEADER
 // =====================================================================
-async function createContactHeader(name, unreadCount = null, avatarFile = null) {
+async function drawAvatarCircle(ctx, x, y, r, name, avatarFile = null) {
+  if (avatarFile) {
+    const aPath = path.isAbsolute(avatarFile) ? avatarFile : path.join(IMAGE_BASE_DIR, avatarFile);
+    if (fs.existsSync(aPath)) {
+      const avatarImg = await loadImage(aPath);
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(x, y, r, 0, Math.PI * 2);
+      ctx.clip();
+      ctx.drawImage(avatarImg, x - r, y - r, r * 2, r * 2);
+      ctx.restore();
+      return;
+    }
+  }
+
+  const grad = ctx.createLinearGradient(x, y - r, x, y + r);
+  grad.addColorStop(0, '#A5ABB9');
+  grad.addColorStop(1, '#858994');
+  ctx.fillStyle = grad;
+  ctx.beginPath();
+  ctx.arc(x, y, r, 0, Math.PI * 2);
+  ctx.fill();
+
+  const initial = (name || '?')[0].toUpperCase();
+  ctx.fillStyle    = '#fff';
+  ctx.font         = fontStr(Math.round(r * 32 / 36), '600');
+  ctx.textAlign    = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(initial, x, y);
+}
+
+// Up to four member avatars clustered inside the single-avatar footprint,
+// each ringed in the header colour so overlaps read as separate circles.
+const GROUP_COLLAGE_LAYOUTS = {
+  2: { r: 0.62, pos: [[-0.36, -0.30], [0.36, 0.30]] },
+  3: { r: 0.52, pos: [[0, -0.46], [-0.46, 0.34], [0.46, 0.34]] },
+  4: { r: 0.48, pos: [[-0.46, -0.46], [0.46, -0.46], [-0.46, 0.46], [0.46, 0.46]] },
+};
+
+async function drawGroupCollage(ctx, cx, cy, R, members) {
+  const shown  = members.slice(0, 4);
+  const layout = GROUP_COLLAGE_LAYOUTS[shown.length];
+  const r      = Math.round(R * layout.r);
+
+  for (let k = 0; k < shown.length; k++) {
+    const x = cx + layout.pos[k][0] * R;
+    const y = cy + layout.pos[k][1] * R;
+    ctx.fillStyle = THEME.header_bg_hex;
+    ctx.beginPath();
+    ctx.arc(x, y, r + px(2), 0, Math.PI * 2);
+    ctx.fill();
+    await drawAvatarCircle(ctx, x, y, r, shown[k].name, shown[k].avatar);
+  }
+}
+
+async function createContactHeader(name, unreadCount = null, avatarFile = null, members = null) {
   ensureFont();
   const canvas = createCanvas(CHAT_W, TOPBAR_H);
   const ctx    = canvas.getContext('2d');
@@ -1025,101 +2055,78 @@ async function createContactHeader(name, unreadCount = null, avatarFile = null)
   ctx.fillRect(0, 0, CHAT_W, TOPBAR_H);
 
   const cx       = CHAT_W / 2;
-  const AVATAR_R = Math.round(36 * 1.5);
-  const AVATAR_Y = Math.round(70 * 1.5);
-  const NAME_Y   = Math.round(135 * 1.5);
+  const AVATAR_R = px(36);
+  const AVATAR_Y = px(70);
+  const NAME_Y   = px(135);
 
   ctx.strokeStyle = '#007AFF';
-  ctx.lineWidth   = 2.9 * 1.8;
+  ctx.lineWidth   = 2.9 * 1.2 * UI_SCALE;
   ctx.lineCap     = 'round';
   ctx.lineJoin    = 'round';
-  const cx0 = Math.round(32 * 1.5), cy0 = Math.round(63 * 1.5);
+  const cx0 = px(32), cy0 = px(63), chev = 1.2 * UI_SCALE;
   ctx.beginPath();
-  ctx.moveTo(cx0 + 13.5 * 1.8, cy0);
-  ctx.lineTo(cx0, cy0 + 13.5 * 1.8);
-  ctx.lineTo(cx0 + 13.5 * 1.8, cy0 + 27 * 1.8);
+  ctx.moveTo(cx0 + 13.5 * chev, cy0);
+  ctx.lineTo(cx0, cy0 + 13.5 * chev);
+  ctx.lineTo(cx0 + 13.5 * chev, cy0 + 27 * chev);
   ctx.stroke();
 
-  const vx = CHAT_W - Math.round(85 * 1.5);
-  const vy = Math.round(50 * 1.5);
+  const vx = CHAT_W - px(85);
+  const vy = px(50);
   ctx.strokeStyle = '#007AFF';
-  ctx.lineWidth   = Math.round(2.6 * 1.5);
+  ctx.lineWidth   = px(2.6);
   ctx.beginPath();
-  ctx.roundRect(vx, vy + Math.round(4.5 * 1.5), Math.round(39 * 1.5), Math.round(30 * 1.5), Math.round(7.5 * 1.5));
+  ctx.roundRect(vx, vy + px(4.5), px(39), px(30), px(7.5));
   ctx.stroke();
   ctx.beginPath();
-  ctx.moveTo(vx + Math.round(39 * 1.5), vy + Math.round(15 * 1.5));
-  ctx.lineTo(vx + Math.round(52.5 * 1.5), vy + Math.round(9.75 * 1.5));
-  ctx.lineTo(vx + Math.round(52.5 * 1.5), vy + Math.round(28.5 * 1.5));
-  ctx.lineTo(vx + Math.round(39 * 1.5), vy + Math.round(22.5 * 1.5));
+  ctx.moveTo(vx + px(39), vy + px(15));
+  ctx.lineTo(vx + px(52.5), vy + px(9.75));
+  ctx.lineTo(vx + px(52.5), vy + px(28.5));
+  ctx.lineTo(vx + px(39), vy + px(22.5));
   ctx.closePath();
   ctx.stroke();
 
   if (unreadCount && unreadCount !== '') {
     const display  = String(unreadCount);
-    const pillW    = Math.round(26 * 1.5) + display.length * Math.round(10 * 1.5);
-    const pillH    = Math.round(30 * 1.5);
-    const pillX    = Math.round(55 * 1.5);
-    const pillY    = Math.round(64 * 1.5);
-    const pillR    = Math.round(15 * 1.5);
+    const pillW    = px(26) + display.length * px(10);
+    const pillH    = px(30);
+    const pillX    = px(55);
+    const pillY    = px(64);
+    const pillR    = px(15);
     ctx.fillStyle  = '#007AFF';
     roundedRect(ctx, pillX, pillY, pillW, pillH, pillR);
     ctx.fill();
     ctx.fillStyle   = '#fff';
-    ctx.font        = fontStr(Math.round(22 * 1.5), "600");
+    ctx.font        = fontStr(px(22), "600");
     ctx.textAlign   = 'center';
     ctx.textBaseline = 'middle';
     ctx.fillText(display, pillX + pillW / 2, pillY + pillH / 2);
   }
 
-  if (avatarFile) {
-    const aPath = path.isAbsolute(avatarFile) ? avatarFile : path.join(IMAGE_BASE_DIR, avatarFile);
-    if (fs.existsSync(aPath)) {
-      const avatarSize = Math.round(72 * 1.5);
-      const avatarImg  = await loadImage(aPath);
-      ctx.save();
-      ctx.beginPath();
-      ctx.arc(cx, AVATAR_Y, avatarSize / 2, 0, Math.PI * 2);
-      ctx.clip();
-      ctx.drawImage(avatarImg, cx - avatarSize / 2, AVATAR_Y - avatarSize / 2, avatarSize, avatarSize);
-      ctx.restore();
-    }
+  if (members && members.length > 1) {
+    await drawGroupCollage(ctx, cx, AVATAR_Y, AVATAR_R, members);
   } else {
-    const grad = ctx.createLinearGradient(cx, AVATAR_Y - AVATAR_R, cx, AVATAR_Y + AVATAR_R);
-    grad.addColorStop(0, '#A5ABB9');
-    grad.addColorStop(1, '#858994');
-    ctx.fillStyle = grad;
-    ctx.beginPath();
-    ctx.arc(cx, AVATAR_Y, AVATAR_R, 0, Math.PI * 2);
-    ctx.fill();
-
-    const initial = (name || '?')[0].toUpperCase();
-    ctx.fillStyle    = '#fff';
-    ctx.font         = fontStr(Math.round(32 * 1.5), '600');
-    ctx.textAlign    = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(initial, cx, AVATAR_Y);
+    await drawAvatarCircle(ctx, cx, AVATAR_Y, AVATAR_R, name, avatarFile);
   }
 
   ctx.fillStyle    = THEME.name_fill_hex;
-  ctx.font         = fontStr(Math.round(24 * 1.5), THEME.name_weight);
+  ctx.font         = fontStr(px(24), THEME.name_weight);
   ctx.textAlign    = 'center';
   ctx.textBaseline = 'alphabetic';
-  const nameX = cx - Math.round(4 * 1.5);
+  const nameX = cx - px(4);
   ctx.fillText(name, nameX, NAME_Y);
 
-  ctx.font = fontStr(Math.round(24 * 1.5), THEME.name_weight);
+  ctx.font = fontStr(px(24), THEME.name_weight);
   const nameW = ctx.measureText(name).width;
-  const chX = nameX + nameW / 2 + Math.round(18 * 1.5);
-  const chY = NAME_Y - Math.round(18 * 1.5);
+  const chX = nameX + nameW / 2 + px(18);
+  const chY = NAME_Y - px(18);
   ctx.strokeStyle = '#bbbbbb';
-  ctx.lineWidth   = Math.round(2.6 * 1.5);
+  ctx.lineWidth   = px(2.6);
   ctx.lineCap     = 'round';
   ctx.lineJoin    = 'round';
   ctx.beginPath();
-  ctx.moveTo(chX, chY + Math.round(3 * 1.5));
-  ctx.lineTo(chX + Math.round(7 * 1.5), chY + Math.round(10 * 1.5));
-  ctx.lineTo(chX, chY + Math.round(17 * 1.5));
+  ctx.moveTo(chX, chY + px(3));
+  ctx.lineTo(chX + px(7), chY + px(10));
+  ctx.lineTo(chX, chY + px(17));
   ctx.stroke();
 
   return canvas;
@@ -1128,44 +2135,118 @@ async function createContactHeader(name, unreadCount = null, avatarFile = null)
 // =====================================================================
 // SCENE IMAGE
 // =====================================================================
-async function createSceneImage(bubbleCanvases, widths, heights, senders, posterCanvas, showPoster, uiRound = 0) {
-  const pad          = Math.round(38 * 1.5);
-  const maxBW        = CHAT_W - pad * 2;
-  const baseGapSame  = -10;
-  const baseGapDiff  = 0;
+// =====================================================================
+// SCENE LAYOUT — shared by createSceneImage and the paginator so page
+// breaks are decided on exactly the heights that get drawn. The spacing
+// values (SCENE_PAD, GAP_*, CHAT_Y, …) come from applyOutputPreset().
+// =====================================================================
 
-  const visIdx = bubbleCanvases
-    .map((c, i) => c !== null ? i : -1)
+// `visible[i]` is truthy for every row that is drawn (normally the clip itself)
+function measureRows(visible, widths, heights, senders, labels = null, reactions = null, receipt = null) {
+  const maxBW      = CHAT_W - SCENE_PAD * 2;
+  const hasTapback = i => !!(reactions && reactions[i] && reactions[i].length > 0);
+
+  const visIdx = visible
+    .map((c, i) => c ? i : -1)
     .filter(i => i !== -1);
 
   const gaps = [];
   for (let vi = 0; vi < visIdx.length - 1; vi++) {
-    gaps.push(senders[visIdx[vi]] === senders[visIdx[vi + 1]] ? baseGapSame : baseGapDiff);
+    gaps.push(senders[visIdx[vi]] === senders[visIdx[vi + 1]] ? GAP_SAME : GAP_DIFF);
   }
 
   const visH = visIdx.map(i => {
     const s = widths[i] > maxBW ? maxBW / widths[i] : 1;
-    return Math.round(heights[i] * s);
+    return Math.round(heights[i] * s)
+      + (labels && labels[i] ? LABEL_H : 0)
+      + (hasTapback(i) ? TAPBACK_H : 0);
   });
-  const bubblesH = visH.reduce((a, b) => a + b, 0) + gaps.reduce((a, b) => a + b, 0);
+  // "Delivered" / "Read 9:41 PM" sits under the newest bubble only while it is ours
+  const showReceipt = !!receipt && visIdx.length > 0 && senders[visIdx[visIdx.length - 1]] === 'me';
+  const bubblesH = visH.reduce((a, b) => a + b, 0) + gaps.reduce((a, b) => a + b, 0)
+    + (showReceipt ? RECEIPT_H : 0);
+
+  return { visIdx, gaps, bubblesH, showReceipt, hasTapback };
+}
+
+function chatHeightFor(bubblesH, showPoster) {
+  return showPoster
+    ? TOPBAR_H + px(12) + bubblesH - px(3)
+    : bubblesH + px(15);
+}
 
-  const chatH = showPoster
-    ? TOPBAR_H + Math.round(12 * 1.5) + bubblesH - Math.round(3 * 1.5)
-    : bubblesH + Math.round(15 * 1.5);
+// With asStrip the header is left off and the whole conversation is returned
+// as one tall CHAT_W-wide strip for createScrollScene to window into.
+// Consecutive strips mostly grow by one row, so rows that match the previous
+// strip (same clip, label, tapbacks, sender) are copied from it in one blit
+// and only the rest are drawn. GAP_SAME overlaps rows, so the copy stops
+// above the overlap and the last kept bubble's tail is redrawn under it.
+// With an entrance mode the newest bubble is held back and the result is
+// { base, bubble } so the frame writer can animate it in (see drawEntrance).
+let lastStrip = null;   // { canvas, rows: [{ clip, w, h, sender, label, reactions, at, bottom }] }
+
+function stripRow(vi, visIdx, bubbleCanvases, widths, heights, senders, labels, reactions) {
+  const o = visIdx[vi];
+  return {
+    clip: bubbleCanvases[o], w: widths[o], h: heights[o], sender: senders[o],
+    label: (labels && labels[o]) || null, reactions: (reactions && reactions[o]) || null,
+  };
+}
 
-  const canvas = createCanvas(CHAT_W, Math.max(chatH, showPoster ? TOPBAR_H : 0));
+async function createSceneImage(bubbleCanvases, widths, heights, senders, posterCanvas, showPoster, uiRound = 0, labels = null, reactions = null, receipt = null, asStrip = false, entrance = null) {
+  const pad          = SCENE_PAD;
+  const maxBW        = CHAT_W - pad * 2;
+  const LABEL_FONT   = px(17);
+  const TAPBACK_IN   = px(20);   // bubble edge inset from clip edge (tail room)
+  const RECEIPT_FONT = px(15);
+
+  const { visIdx, gaps, bubblesH, showReceipt, hasTapback } =
+    measureRows(bubbleCanvases, widths, heights, senders, labels, reactions, receipt);
+  const chatH = asStrip
+    ? STRIP_TOP + bubblesH + STRIP_BOTTOM
+    : chatHeightFor(bubblesH, showPoster);
+
+  const canvas = createCanvas(CHAT_W, Math.max(chatH, showPoster && !asStrip ? TOPBAR_H : 1));
   const ctx    = canvas.getContext('2d');
 
   ctx.fillStyle = rgb(THEME.chat_bg);
   ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-  if (showPoster && posterCanvas) {
+  if (showPoster && posterCanvas && !asStrip) {
     ctx.drawImage(posterCanvas, 0, 0);
   }
 
-  let y = showPoster ? TOPBAR_H + Math.round(13 * 1.5) : Math.round(14 * 1.5);
+  let y = asStrip    ? STRIP_TOP
+        : showPoster ? TOPBAR_H + px(13)
+        : px(14);
+
+  const newest = entrance && entrance !== 'none' ? bubbleCanvases.length - 1 : -1;
+  let held     = null;
+
+  const rows = [];
+  let from   = 0;
+  if (asStrip && lastStrip) {
+    const prev = lastStrip.rows;
+    while (from < visIdx.length && from < prev.length && visIdx[from] !== newest) {
+      const row = stripRow(from, visIdx, bubbleCanvases, widths, heights, senders, labels, reactions);
+      if (!Object.keys(row).every(k => row[k] === prev[from][k])) break;
+      rows.push(prev[from++]);
+    }
+    if (from > 0) {
+      const kept = rows[from - 1];
+      const cut  = Math.floor(kept.bottom + Math.min(0, GAP_SAME, GAP_DIFF));
+      ctx.drawImage(lastStrip.canvas, 0, 0, CHAT_W, cut, 0, 0, CHAT_W, cut);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(0, cut, CHAT_W, canvas.height - cut);
+      ctx.clip();
+      ctx.drawImage(kept.clip, ...kept.at);
+      ctx.restore();
+      y = kept.bottom + (from - 1 < gaps.length ? gaps[from - 1] : 0);
+    }
+  }
 
-  for (let vi = 0; vi < visIdx.length; vi++) {
+  for (let vi = from; vi < visIdx.length; vi++) {
     const orig   = visIdx[vi];
     const bubble = bubbleCanvases[orig];
     const scale  = widths[orig] > maxBW ? maxBW / widths[orig] : 1;
@@ -1173,44 +2254,281 @@ async function createSceneImage(bubbleCanvases, widths, heights, senders, poster
     const drawH  = Math.round(heights[orig] * scale);
     const isMe   = senders[orig] === 'me';
     let bx = isMe ? CHAT_W - drawW - pad : pad;
-    bx = Math.min(CHAT_W - drawW - Math.round(5 * 1.5), Math.max(Math.round(5 * 1.5), bx));
+    if (senders[orig] === '__time__') bx = Math.round((CHAT_W - drawW) / 2);
+    bx = Math.min(CHAT_W - drawW - px(5), Math.max(px(5), bx));
+
+    if (labels && labels[orig]) {
+      ctx.fillStyle    = THEME.meta_text_hex;
+      ctx.font         = fontStr(LABEL_FONT);
+      ctx.textAlign    = 'left';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(labels[orig], bx + px(30), Math.round(y) + LABEL_H - px(3));
+      y += LABEL_H;
+    }
+
+    if (hasTapback(orig)) y += TAPBACK_H;
+
+    if (orig === newest) {
+      held = { clip: bubble, x: bx, y: Math.round(y), w: drawW, h: drawH, isMe, mode: entrance };
+    } else {
+      ctx.drawImage(bubble, bx, Math.round(y), drawW, drawH);
+    }
+
+    if (hasTapback(orig)) {
+      // Received bubbles get badges on their top-right corner, sent on top-left
+      const dir   = isMe ? -1 : 1;
+      const edgeX = isMe ? bx + TAPBACK_IN : bx + drawW - TAPBACK_IN;
+      reactions[orig].forEach((r, k) => {
+        const cx = edgeX - dir * (TAPBACK_R * 0.1 + k * TAPBACK_R * 1.6);
+        drawTapbackBadge(ctx, r, cx, Math.round(y) - TAPBACK_R * 0.45, TAPBACK_R, dir);
+      });
+    }
+
+    y += drawH;
+    if (asStrip && orig !== newest) {
+      const at = [bx, Math.round(y - drawH), drawW, drawH];
+      rows.push({ ...stripRow(vi, visIdx, bubbleCanvases, widths, heights, senders, labels, reactions), at, bottom: y });
+    }
+    y += vi < gaps.length ? gaps[vi] : 0;
+  }
 
-    ctx.drawImage(bubble, bx, Math.round(y), drawW, drawH);
-    y += drawH + (vi < gaps.length ? gaps[vi] : 0);
+  if (showReceipt) {
+    ctx.fillStyle    = THEME.meta_text_hex;
+    ctx.font         = fontStr(RECEIPT_FONT, '600');
+    ctx.textAlign    = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillText(receipt, CHAT_W - pad - px(20), Math.round(y) + px(2));
   }
 
+  if (asStrip) {
+    lastStrip = { canvas, rows };
+    return held ? { base: canvas, bubble: held } : canvas;
+  }
+
+  const frame = createCanvas(W, H);
+  const fCtx  = frame.getContext('2d');
+  fillBackdrop(fCtx);
+  const chatX = (W - CHAT_W) / 2;
+
   if (uiRound > 0) {
     const masked = createCanvas(canvas.width, canvas.height);
     const mCtx   = masked.getContext('2d');
     roundedRect(mCtx, 0, 0, canvas.width, canvas.height, uiRound);
     mCtx.clip();
     mCtx.drawImage(canvas, 0, 0);
-    const frame = createCanvas(W, H);
-    const fCtx  = frame.getContext('2d');
-    fCtx.fillStyle = BG_COLOR;
-    fCtx.fillRect(0, 0, W, H);
-    const chatX = (W - CHAT_W) / 2;
-    const chatY = Math.round(170 * 1.5);
-    fCtx.drawImage(masked, chatX, chatY);
-    return frame;
+    fCtx.drawImage(masked, chatX, CHAT_Y);
+  } else {
+    fCtx.drawImage(canvas, chatX, CHAT_Y);
   }
 
+  if (!held) return frame;
+  return {
+    base:   frame,
+    bubble: { ...held, x: held.x + chatX, y: held.y + CHAT_Y },
+    chat:   { x: chatX, y: CHAT_Y, w: canvas.width, h: canvas.height, r: uiRound },
+  };
+}
+
+// =====================================================================
+// BUBBLE ENTRANCE (pop / slide / fade)
+// Earlier bubbles stay baked into the base image; only the held-back
+// newest bubble is redrawn per frame, so each scene still costs one frame.
+// =====================================================================
+function drawEntrance(ctx, bubble, t, dx = 0, dy = 0) {
+  const { clip, w, h, isMe, mode } = bubble;
+  const x = bubble.x + dx;
+  const y = bubble.y + dy;
+
+  if (t >= 1) { ctx.drawImage(clip, x, y, w, h); return; }
+
+  ctx.save();
+  if (mode === 'pop') {
+    // Grow out of the tail corner with a slight overshoot
+    const c1 = 1.70158, c3 = c1 + 1;
+    const s  = 0.3 + 0.7 * (1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2));
+    const ax = isMe ? x + w : x;
+    const ay = y + h;
+    ctx.globalAlpha = Math.min(1, t * 2);
+    ctx.translate(ax, ay);
+    ctx.scale(s, s);
+    ctx.drawImage(clip, x - ax, y - ay, w, h);
+  } else if (mode === 'slide') {
+    const e = 1 - Math.pow(1 - t, 3);
+    ctx.globalAlpha = e;
+    ctx.drawImage(clip, x, y + (1 - e) * px(40), w, h);
+  } else {
+    ctx.globalAlpha = t;
+    ctx.drawImage(clip, x, y, w, h);
+  }
+  ctx.restore();
+}
+
+function createEntranceScene(base, bubble, chat) {
+  let settled = null;
+  return {
+    frameAt(f) {
+      const t = (f + 1) / ENTRANCE_FRAMES;
+      if (t >= 1 && settled) return settled;
+
+      const frame = createCanvas(W, H);
+      const ctx   = frame.getContext('2d');
+      ctx.drawImage(base, 0, 0);
+      ctx.save();
+      roundedRect(ctx, chat.x, chat.y, chat.w, chat.h, chat.r);
+      ctx.clip();
+      drawEntrance(ctx, bubble, t);
+      ctx.restore();
+      if (t >= 1) settled = frame;
+      return frame;
+    },
+  };
+}
+
+// =====================================================================
+// SCROLL MODE (PAGE: scroll)
+// The header stays fixed while the conversation strip scrolls beneath it.
+// A scroll scene is composed lazily by the frame writer: it eases from the
+// previous scene's offset to the one that pins the newest row to the bottom.
+// =====================================================================
+const SCROLL_FRAMES = 9;   // ≈0.3s @ 30fps
+
+function scrollViewportH() {
+  return H - CHAT_Y - CHAT_BOTTOM - TOPBAR_H;
+}
+
+function composeScrollFrame(strip, offset, stripH, poster, uiRound, entrance = null) {
+  const viewH = Math.min(stripH, scrollViewportH());
+  const chatH = TOPBAR_H + viewH;
+
+  const chat = createCanvas(CHAT_W, chatH);
+  const cCtx = chat.getContext('2d');
+  cCtx.fillStyle = rgb(THEME.chat_bg);
+  cCtx.fillRect(0, 0, CHAT_W, chatH);
+  cCtx.drawImage(strip, 0, Math.round(offset), CHAT_W, viewH, 0, TOPBAR_H, CHAT_W, viewH);
+  if (entrance) drawEntrance(cCtx, entrance.bubble, entrance.t, 0, TOPBAR_H - Math.round(offset));
+  if (poster) cCtx.drawImage(poster, 0, 0);
+
   const frame = createCanvas(W, H);
   const fCtx  = frame.getContext('2d');
-  fCtx.fillStyle = BG_COLOR;
-  fCtx.fillRect(0, 0, W, H);
-  const chatX = (W - CHAT_W) / 2;
-  const chatY = Math.round(170 * 1.5);
-  fCtx.drawImage(canvas, chatX, chatY);
+  fillBackdrop(fCtx);
+  fCtx.save();
+  if (uiRound > 0) {
+    roundedRect(fCtx, (W - CHAT_W) / 2, CHAT_Y, CHAT_W, chatH, uiRound);
+    fCtx.clip();
+  }
+  fCtx.drawImage(chat, (W - CHAT_W) / 2, CHAT_Y);
+  fCtx.restore();
   return frame;
 }
 
+// strips: one per animation phase (a single strip for a still scene), all the
+// same height; hold: video frames per phase, as for { frames, hold } scenes.
+// bubble: the newest bubble held back by createSceneImage for its entrance.
+function createScrollScene(strips, fromOffset, poster, uiRound, hold = 1, bubble = null) {
+  const stripH   = strips[0].height;
+  const viewH    = scrollViewportH();
+  const toOffset = Math.max(0, stripH - viewH);
+  const start    = Math.min(fromOffset, toOffset);
+
+  // Keep only the rows this scene can ever show: [start, toOffset + viewH)
+  const keepH  = Math.min(stripH, toOffset + viewH) - start;
+  const kept   = strips.map(st => {
+    const c = createCanvas(CHAT_W, keepH);
+    c.getContext('2d').drawImage(st, 0, start, CHAT_W, keepH, 0, 0, CHAT_W, keepH);
+    return c;
+  });
+  const settled  = new Map();
+  const ease     = t => 1 - Math.pow(1 - t, 3);
+  const entering = bubble && { ...bubble, y: bubble.y - start };
+  const lastF    = Math.max(start === toOffset ? 1 : SCROLL_FRAMES, entering ? ENTRANCE_FRAMES : 1);
+
+  return {
+    toOffset,
+    frameAt(f) {
+      const phase = Math.floor(f / hold) % kept.length;
+      if (f + 1 >= lastF) {
+        if (!settled.has(phase)) {
+          const entrance = entering && { bubble: entering, t: 1 };
+          settled.set(phase, composeScrollFrame(kept[phase], toOffset - start, stripH, poster, uiRound, entrance));
+        }
+        return settled.get(phase);
+      }
+      const off      = (toOffset - start) * ease(Math.min(1, (f + 1) / SCROLL_FRAMES));
+      const entrance = entering && { bubble: entering, t: Math.min(1, (f + 1) / ENTRANCE_FRAMES) };
+      return composeScrollFrame(kept[phase], off, stripH, poster, uiRound, entrance);
+    },
+  };
+}
+
+// =====================================================================
+// PAGINATION: how many script entries fit on one screen
+// Walks the entries in order, replaying every scene state the runner will
+// draw (typing dots, tapbacks, receipt rows) and stops before the first
+// one whose chat window would run past the bottom of the frame.
+// Returns { length, bubbles }: the makeBubbleClips result trimmed to the
+// page, which the runner draws as-is — re-rendering the page on its own
+// would give the bubble at the cut a tail (isLast) the measure didn't have.
+// =====================================================================
+const PAGE_LOOKAHEAD = 40;
+
+async function measurePage(msgs, start, members, showPoster, receiptMode) {
+  const ahead   = msgs.slice(start, start + PAGE_LOOKAHEAD);
+  const bubbles = await makeBubbleClips(ahead, members);
+  const { clips, widths, heights, senders, labels } = bubbles;
+  const page    = n => ({
+    length:  n,
+    bubbles: Object.fromEntries(Object.entries(bubbles).map(([k, arr]) => [k, arr.slice(0, n)])),
+  });
+  const dots      = typingBubbleCanvas('them', 0);
+  const avail     = H - CHAT_Y - CHAT_BOTTOM;
+  const reactions = new Array(ahead.length).fill(null);
+  let mode = receiptMode;
+
+  for (let j = 0; j < ahead.length; j++) {
+    const m = ahead[j];
+    if (m.is_receipt) mode = m.mode;
+    if (m.is_react) {
+      const onScreen = [];
+      for (let k = 0; k < j; k++) if (clips[k] && senders[k] !== '__time__') onScreen.push(k);
+      const target = onScreen[onScreen.length + m.target];
+      if (target !== undefined) reactions[target] = [{}];
+    }
+
+    const vis = clips.slice(0, j + 1);
+    const ws  = widths.slice(0, j + 1);
+    const hs  = heights.slice(0, j + 1);
+    if (m.is_typing) { vis[j] = true; ws[j] = dots.width; hs[j] = dots.height; }
+
+    const { bubblesH } = measureRows(
+      vis, ws, hs, senders.slice(0, j + 1), labels.slice(0, j + 1),
+      reactions.slice(0, j + 1), mode !== 'off' ? 'receipt' : null
+    );
+    if (chatHeightFor(bubblesH, showPoster) > avail) return page(keepTapbackTargets(ahead, clips, senders, Math.max(1, j)));
+  }
+  return page(ahead.length);
+}
+
+// validateScript accepts a tapback on any earlier bubble in the thread, but
+// only the current page can be badged. If a tapback past the cut targets a
+// bubble before it, move the cut back so both land on the next page.
+function keepTapbackTargets(ahead, clips, senders, cut) {
+  let moved = cut;
+  for (let r = cut; r < ahead.length; r++) {
+    if (!ahead[r].is_react) continue;
+    const onScreen = [];
+    for (let k = 0; k < r; k++) if (clips[k] && senders[k] !== '__time__') onScreen.push(k);
+    const target = onScreen[onScreen.length + ahead[r].target];
+    if (target !== undefined && target > 0 && target < moved) moved = target;
+  }
+  return moved;
+}
+
 // =====================================================================
 // CONTEXT IMAGE FOR PLUG / RIZZ
 // =====================================================================
 async function renderContextForPlug(msgsSoFar) {
   const visible = msgsSoFar.filter(m =>
-    !m.is_plug && !m.is_rizz && !m.audio_only && !m.is_break
+    !m.is_plug && !m.is_rizz && !m.audio_only && !m.is_break && !m.is_typing && !m.is_react
   );
   const last3 = visible.slice(-3);
   if (!last3.length) return null;
@@ -1227,20 +2545,20 @@ async function renderContextForPlug(msgsSoFar) {
     if (isImg) {
       clip = await imageMessageClip(fname, sender);
     } else {
-      clip = bubbleCanvas(msg.text, sender, 630, Math.round(28 * 1.5), showTail);
+      clip = bubbleCanvas(msg.text, sender, px(420), px(28), showTail);
     }
     w = clip.width; h = clip.height;
     miniClips.push(clip); miniWs.push(w); miniHs.push(h); miniSnd.push(sender);
   }
 
-  const pad = Math.round(38 * 1.5);
+  const pad = px(38);
   const gaps = [];
   for (let k = 0; k < miniSnd.length - 1; k++) {
-    gaps.push(miniSnd[k] === miniSnd[k + 1] ? -10 : 0);
+    gaps.push(miniSnd[k] === miniSnd[k + 1] ? GAP_SAME : GAP_DIFF);
   }
 
-  const topPad    = Math.round(14 * 1.5);
-  const bottomPad = Math.round(14 * 1.5);
+  const topPad    = px(14);
+  const bottomPad = px(14);
   const totalH    = topPad + miniHs.reduce((a, b) => a + b, 0) + gaps.reduce((a, b) => a + b, 0) + bottomPad;
 
   const canvas = createCanvas(CHAT_W, Math.round(totalH));
@@ -1257,7 +2575,7 @@ async function renderContextForPlug(msgsSoFar) {
     const drawH = Math.round(miniHs[k] * scale);
     const isMe  = miniSnd[k] === 'me';
     let bx = isMe ? CHAT_W - drawW - pad : pad;
-    bx = Math.min(CHAT_W - drawW - Math.round(5 * 1.5), Math.max(Math.round(5 * 1.5), bx));
+    bx = Math.min(CHAT_W - drawW - px(5), Math.max(px(5), bx));
     ctx.drawImage(miniClips[k], bx, Math.round(y), drawW, drawH);
     y += drawH + (k < gaps.length ? gaps[k] : 0);
   }
@@ -1268,6 +2586,13 @@ async function renderContextForPlug(msgsSoFar) {
 // =====================================================================
 // PUPPETEER: PLUG AI
 // =====================================================================
+// Plug/Rizz scales were tuned for 1080x1920; follow the preset's scale and
+// shrink further if the card would not fit the frame (e.g. 1:1, 16:9).
+function cardScale(w, h, tunedScale) {
+  const k = tunedScale * UI_SCALE / BASE_SCALE;
+  return Math.min(k, (W * 0.94) / w, (H * 0.94) / h);
+}
+
 async function runPlugSelenium(replyText, contextImgPath, dlFolder) {
   const browser = await puppeteer.launch({
     headless: 'new',
@@ -1347,7 +2672,7 @@ async function runPlugSelenium(replyText, contextImgPath, dlFolder) {
   return downloadedPath;
 }
 
-async function generatePlugScene(plugMsg, msgsBefore, apiKey, tmpDir, sceneIdx, imageBaseDir) {
+async function generatePlugScene(plugMsg, msgsBefore, ttsClips, tmpDir, sceneIdx, imageBaseDir) {
   const plugsaySpeaker  = plugMsg.plugsay_speaker;
   const plugsayText     = plugMsg.plugsay_text;
   const plugsayTtsText  = plugMsg.plugsay_tts_text || stripBlurMarkers(plugsayText);
@@ -1370,10 +2695,10 @@ async function generatePlugScene(plugMsg, msgsBefore, apiKey, tmpDir, sceneIdx,
     const buf = contextImg.toBuffer('image/png');
     fs.writeFileSync(ctxPath, buf);
   } else {
-    const blank = createCanvas(CHAT_W, 200);
+    const blank = createCanvas(CHAT_W, px(133.5));
     const bCtx  = blank.getContext('2d');
     bCtx.fillStyle = rgb(THEME.chat_bg);
-    bCtx.fillRect(0, 0, CHAT_W, 200);
+    bCtx.fillRect(0, 0, CHAT_W, blank.height);
     fs.writeFileSync(ctxPath, blank.toBuffer('image/png'));
   }
 
@@ -1382,8 +2707,9 @@ async function generatePlugScene(plugMsg, msgsBefore, apiKey, tmpDir, sceneIdx,
   let plugPil;
   if (plugImgPath && fs.existsSync(plugImgPath)) {
     const meta = await sharp(plugImgPath).metadata();
-    const newW = Math.round(meta.width  * PLUGAI_SCALE);
-    const newH = Math.round(meta.height * PLUGAI_SCALE);
+    const k    = cardScale(meta.width, meta.height, PLUGAI_SCALE);
+    const newW = Math.round(meta.width  * k);
+    const newH = Math.round(meta.height * k);
     plugPil = await loadImage(
       await sharp(plugImgPath).resize(newW, newH).toBuffer()
     );
@@ -1391,8 +2717,7 @@ async function generatePlugScene(plugMsg, msgsBefore, apiKey, tmpDir, sceneIdx,
 
   const frame = createCanvas(W, H);
   const fCtx  = frame.getContext('2d');
-  fCtx.fillStyle = BG_COLOR;
-  fCtx.fillRect(0, 0, W, H);
+  fillBackdrop(fCtx);
   if (plugPil) {
     const px = Math.round((W - plugPil.width)  / 2);
     const py = Math.round((H - plugPil.height) / 2 - H * 0.05);
@@ -1401,10 +2726,8 @@ async function generatePlugScene(plugMsg, msgsBefore, apiKey, tmpDir, sceneIdx,
 
   let wavPlugsay = null;
   if (!plugsaySilent) {
-    const mp3Say = path.join(tmpDir, `plug_${sceneIdx}_say.mp3`);
-    wavPlugsay   = path.join(tmpDir, `plug_${sceneIdx}_say.wav`);
-    await genTTSAudio(apiKey, plugsayTtsText, mp3Say, plugsaySpeaker);
-    convertToWav(mp3Say, wavPlugsay);
+    wavPlugsay = path.join(tmpDir, `plug_${sceneIdx}_say.wav`);
+    convertToWav(ttsClips.get(ttsKey(plugsaySpeaker, plugsayTtsText)), wavPlugsay);
   } else if (plugsaySfx) {
     const sfxPath = resolveSfxPath(plugsaySfx, imageBaseDir);
     if (sfxPath) {
@@ -1415,10 +2738,8 @@ async function generatePlugScene(plugMsg, msgsBefore, apiKey, tmpDir, sceneIdx,
 
   let wavPlug = null;
   if (!plugSilent) {
-    const mp3Reply = path.join(tmpDir, `plug_${sceneIdx}_reply.mp3`);
-    wavPlug        = path.join(tmpDir, `plug_${sceneIdx}_reply.wav`);
-    await genTTSAudio(apiKey, plugTtsText, mp3Reply, plugSpeaker);
-    convertToWav(mp3Reply, wavPlug);
+    wavPlug = path.join(tmpDir, `plug_${sceneIdx}_reply.wav`);
+    convertToWav(ttsClips.get(ttsKey(plugSpeaker, plugTtsText)), wavPlug);
   }
 
   return { frame, wavPlugsay, wavPlug };
@@ -1493,8 +2814,8 @@ async function runRizzSelenium(rizzReplyText, contextImgPath, dlFolder) {
 }
 
 async function buildRizzFrames(rizzImgPath) {
-  const MASK_RADIUS = 15;
-  const OFFSET_UP   = 200;
+  const MASK_RADIUS = px(10);
+  const OFFSET_UP   = px(133.5);
   const CROP_PX     = 4;
 
   let srcBuf = fs.readFileSync(rizzImgPath);
@@ -1507,8 +2828,9 @@ async function buildRizzFrames(rizzImgPath) {
   }).toBuffer();
   w -= 2 * CROP_PX; h -= 2 * CROP_PX;
 
-  const newW = Math.round(w * RIZZ_SCALE);
-  const newH = Math.round(h * RIZZ_SCALE);
+  const k    = cardScale(w, h, RIZZ_SCALE);
+  const newW = Math.round(w * k);
+  const newH = Math.round(h * k);
   srcBuf = await sharp(srcBuf).resize(newW, newH).ensureAlpha().toBuffer();
 
   const srcImg = await loadImage(srcBuf);
@@ -1524,8 +2846,7 @@ async function buildRizzFrames(rizzImgPath) {
 
   const bgFull = createCanvas(W, H);
   const fCtx   = bgFull.getContext('2d');
-  fCtx.fillStyle = BG_COLOR;
-  fCtx.fillRect(0, 0, W, H);
+  fillBackdrop(fCtx);
   fCtx.drawImage(cardCanvas, px, py);
 
   const revealH    = Math.round(newH * RIZZ_REVEAL_RATIO);
@@ -1534,13 +2855,12 @@ async function buildRizzFrames(rizzImgPath) {
   const bgPartial = createCanvas(W, H);
   const pCtx = bgPartial.getContext('2d');
   pCtx.drawImage(bgFull, 0, 0);
-  pCtx.fillStyle = BG_COLOR;
-  pCtx.fillRect(px, hideStartY, newW, py + newH - hideStartY);
+  fillBackdrop(pCtx, px, hideStartY, newW, py + newH - hideStartY);
 
   return { framePartial: bgPartial, frameFull: bgFull };
 }
 
-async function generateRizzScene(rizzMsg, msgsBefore, apiKey, tmpDir, sceneIdx, imageBaseDir) {
+async function generateRizzScene(rizzMsg, msgsBefore, ttsClips, tmpDir, sceneIdx, imageBaseDir) {
   const rizzsaySpeaker  = rizzMsg.rizzsay_speaker;
   const rizzsayText     = rizzMsg.rizzsay_text;
   const rizzsayTtsText  = rizzMsg.rizzsay_tts_text || stripBlurMarkers(rizzsayText);
@@ -1559,10 +2879,10 @@ async function generateRizzScene(rizzMsg, msgsBefore, apiKey, tmpDir, sceneIdx,
   if (contextImg) {
     fs.writeFileSync(ctxPath, contextImg.toBuffer('image/png'));
   } else {
-    const blank = createCanvas(CHAT_W, 200);
+    const blank = createCanvas(CHAT_W, px(133.5));
     const bCtx  = blank.getContext('2d');
     bCtx.fillStyle = rgb(THEME.chat_bg);
-    bCtx.fillRect(0, 0, CHAT_W, 200);
+    bCtx.fillRect(0, 0, CHAT_W, blank.height);
     fs.writeFileSync(ctxPath, blank.toBuffer('image/png'));
   }
 
@@ -1574,18 +2894,15 @@ async function generateRizzScene(rizzMsg, msgsBefore, apiKey, tmpDir, sceneIdx,
   } else {
     const blank = createCanvas(W, H);
     const bCtx  = blank.getContext('2d');
-    bCtx.fillStyle = BG_COLOR;
-    bCtx.fillRect(0, 0, W, H);
+    fillBackdrop(bCtx);
     framePartial = blank;
     frameFull    = blank;
   }
 
   let wavRizzsay = null;
   if (!rizzsaySilent) {
-    const mp3Say = path.join(tmpDir, `rizz_${sceneIdx}_say.mp3`);
-    wavRizzsay   = path.join(tmpDir, `rizz_${sceneIdx}_say.wav`);
-    await genTTSAudio(apiKey, rizzsayTtsText, mp3Say, rizzsaySpeaker);
-    convertToWav(mp3Say, wavRizzsay);
+    wavRizzsay = path.join(tmpDir, `rizz_${sceneIdx}_say.wav`);
+    convertToWav(ttsClips.get(ttsKey(rizzsaySpeaker, rizzsayTtsText)), wavRizzsay);
   } else if (rizzsaySfx) {
     const sfxPath = resolveSfxPath(rizzsaySfx, imageBaseDir);
     if (sfxPath) {
@@ -1596,19 +2913,43 @@ async function generateRizzScene(rizzMsg, msgsBefore, apiKey, tmpDir, sceneIdx,
 
   let wavRizz = null;
   if (!rizzSilent) {
-    const mp3Reply = path.join(tmpDir, `rizz_${sceneIdx}_reply.mp3`);
-    wavRizz        = path.join(tmpDir, `rizz_${sceneIdx}_reply.wav`);
-    await genTTSAudio(apiKey, rizzTtsText, mp3Reply, rizzSpeaker);
-    convertToWav(mp3Reply, wavRizz);
+    wavRizz = path.join(tmpDir, `rizz_${sceneIdx}_reply.wav`);
+    convertToWav(ttsClips.get(ttsKey(rizzSpeaker, rizzTtsText)), wavRizz);
   }
 
   return { framePartial, frameFull, wavRizzsay, wavRizz };
 }
 
 // =====================================================================
-// VIDEO ENCODING — EPIPE FIX APPLIED
+// VIDEO ENCODING
+// A scene is a canvas, null (hold the previous image), an animated
+// scene { frames: [canvas...], hold: videoFramesPerImage, loop: bool },
+// or a lazily composed scene { frameAt(f) } such as a scroll transition.
+// Non-looping animations play once and freeze on their last image.
 // =====================================================================
-async function writeVideoWithFfmpeg(frameCanvases, wavFiles, fps, outputPath) {
+function animatedSceneFrame(scene, f) {
+  if (scene.frameAt) return scene.frameAt(f);
+  const step = Math.floor(f / (scene.hold || 1));
+  const idx  = scene.loop
+    ? step % scene.frames.length
+    : Math.min(step, scene.frames.length - 1);
+  return scene.frames[idx];
+}
+
+async function canvasToJpeg(canvas) {
+  return sharp(canvas.toBuffer('image/png'))
+    .jpeg({ quality: 95, mozjpeg: false })
+    .toBuffer();
+}
+
+// JPEG has no alpha channel, so alpha modes stream PNG frames
+async function encodeFrame(canvas) {
+  return BACKGROUND.alpha ? canvas.toBuffer('image/png') : canvasToJpeg(canvas);
+}
+
+// Encodes the delivered file in a single pass: streamed frames + the
+// concatenated scene audio, muxed by the same ffmpeg process.
+async function writeVideoWithFfmpeg(frameCanvases, wavFiles, fps, outputPath, audioPath, videoFilter = null) {
   const durations = wavFiles.map(w => getAudioDuration(w));
   const frameCounts = [];
   let cumulative = 0.0;
@@ -1622,96 +2963,124 @@ async function writeVideoWithFfmpeg(frameCanvases, wavFiles, fps, outputPath) {
   const totalFrames = frameCounts.reduce((a, b) => a + b, 0);
   console.log(`[VIDEO] Encoding ${totalFrames} frames @ ${fps}fps`);
 
-  // Write frames as JPEG (quality 95) instead of PNG — ~10x smaller files,
-  // keeps total disk/RAM under Railway free-tier limits (512 MB).
-  const frameDir = outputPath + '_frames';
-  fs.mkdirSync(frameDir, { recursive: true });
+  const ffmpegBin = (() => {
+    try { return _exec('which ffmpeg').toString().trim(); } catch (_) { return 'ffmpeg'; }
+  })();
+
+  // Frames go to ffmpeg's stdin as an image2pipe stream: each distinct image
+  // is encoded once and its buffer re-sent for every frame it is held, so
+  // nothing is written to disk and frame counts stay exact.
+  const ff = spawn(ffmpegBin, [
+    '-y',
+    '-f', 'image2pipe',
+    '-framerate', String(fps),
+    '-c:v', BACKGROUND.alpha ? 'png' : 'mjpeg',
+    '-i', 'pipe:0',
+    '-i', audioPath,
+    '-map', '0:v:0', '-map', '1:a:0',
+    ...(videoFilter ? ['-vf', videoFilter] : []),
+    ...BACKGROUND.codec,
+    '-threads', '2',
+    '-shortest',
+    '-progress', 'pipe:1', '-nostats',
+    outputPath,
+  ], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+  let stderrTail = '';
+  ff.stderr.on('data', d => { stderrTail = (stderrTail + d).slice(-3000); });
+
+  // -progress writes key=value blocks; frame= is the encoder's position
+  let progressBuf = '';
+  let encodePct   = 0;
+  ff.stdout.on('data', d => {
+    const lines = (progressBuf + d).split('\n');
+    progressBuf = lines.pop();
+    for (const line of lines) {
+      const m = /^frame=(\d+)/.exec(line);
+      const pct = m && totalFrames ? Math.min(100, Math.floor(100 * Number(m[1]) / totalFrames)) : null;
+      if (pct !== null && pct > encodePct) reportProgress({ encodePercent: (encodePct = pct) });
+    }
+  });
+
+  // If ffmpeg dies mid-stream the next write raises EPIPE; surface that as
+  // the encode failure (with ffmpeg's own stderr) instead of crashing.
+  let pipeError = null;
+  ff.stdin.on('error', err => { pipeError = err; });
+  const exited = new Promise(resolve => ff.on('close', (code, signal) => resolve({ code, signal })));
+  let exitInfo = null;
+  exited.then(info => { exitInfo = info; });
+
+  const failed = (why) => {
+    console.error('[VIDEO] ffmpeg stderr:', stderrTail);
+    return new Error(`ffmpeg encode failed: ${why}`);
+  };
+  const writeFrame = async (buf) => {
+    if (pipeError || exitInfo) {
+      throw failed(pipeError ? pipeError.message : `exited early status=${exitInfo.code}`);
+    }
+    if (!ff.stdin.write(buf)) {
+      await Promise.race([new Promise(r => ff.stdin.once('drain', r)), exited]);
+    }
+  };
 
   try {
     let frameIdx = 0;
-    let lastFrameJpeg = null;
+    let lastFrame = null;   // encoded image (JPEG, or PNG in alpha modes)
 
     for (let si = 0; si < frameCanvases.length; si++) {
-      const canvas = frameCanvases[si];
-      if (canvas !== null) {
-        const pngBuf = canvas.toBuffer('image/png');
-        lastFrameJpeg = await sharp(pngBuf)
-          .jpeg({ quality: 95, mozjpeg: false })
-          .toBuffer();
+      const scene = frameCanvases[si];
+      const count = frameCounts[si] || 0;
+
+      if (scene && (scene.frames || scene.frameAt)) {
+        const encoded = new Map();
+        for (let f = 0; f < count; f++) {
+          const canvas = animatedSceneFrame(scene, f);
+          if (!encoded.has(canvas)) encoded.set(canvas, await encodeFrame(canvas));
+          lastFrame = encoded.get(canvas);
+          await writeFrame(lastFrame);
+          frameIdx++;
+        }
+        continue;
       }
-      if (!lastFrameJpeg) continue;
 
-      const count = frameCounts[si] || 0;
+      if (scene !== null) {
+        lastFrame = await encodeFrame(scene);
+      }
+      if (!lastFrame) continue;
+
       for (let f = 0; f < count; f++) {
-        const framePath = path.join(frameDir, `frame_${String(frameIdx).padStart(6, '0')}.jpg`);
-        fs.writeFileSync(framePath, lastFrameJpeg);
+        await writeFrame(lastFrame);
         frameIdx++;
       }
     }
 
-    console.log(`[VIDEO] Wrote ${frameIdx} JPEG frames, now encoding...`);
-
-    const ffmpegBin = (() => {
-      try { return _exec('which ffmpeg').toString().trim(); } catch (_) { return 'ffmpeg'; }
-    })();
-
-    const r = spawnSync(ffmpegBin, [
-      '-y',
-      '-framerate', String(fps),
-      '-i', path.join(frameDir, 'frame_%06d.jpg'),
-      '-vcodec', 'libx264',
-      '-preset', 'ultrafast',
-      '-crf', '23',
-      '-pix_fmt', 'yuv420p',
-      '-threads', '2',
-      outputPath,
-    ], { encoding: 'utf8', maxBuffer: 50 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'] });
-
-    if (r.status !== 0 || r.signal) {
-      console.error('[VIDEO] ffmpeg stderr:', (r.stderr || '').slice(-3000));
-      throw new Error(`ffmpeg encode failed: status=${r.status} signal=${r.signal}`);
-    }
-
-    console.log('[VIDEO] Encode complete.');
-    return outputPath;
+    console.log(`[VIDEO] Streamed ${frameIdx} frames, finishing encode...`);
+  } catch (err) {
+    ff.stdin.destroy();
+    ff.kill('SIGKILL');
+    await exited;
+    throw err;
+  }
 
-  } finally {
-    try { fs.rmSync(frameDir, { recursive: true, force: true }); } catch (_) {}
+  ff.stdin.end();
+  const { code, signal } = await exited;
+  if (code !== 0 || signal) {
+    throw failed(`status=${code} signal=${signal}`);
   }
-}
 
-async function muxVideoAudio(videoPath, audioPath, outputPath) {
-  return new Promise((resolve, reject) => {
-    const args = [
-      '-y',
-      '-i', videoPath, '-i', audioPath,
-      '-c:v', 'copy', '-c:a', 'aac', '-b:a', '192k',
-      '-shortest', outputPath,
-    ];
-    const ff = spawn('ffmpeg', args);
-    ff.stderr.on('data', d => process.stderr.write(d));
-    ff.on('close', code => code === 0 ? resolve(outputPath) : reject(new Error(`mux failed: ${code}`)));
-  });
+  if (encodePct < 100) reportProgress({ encodePercent: 100 });
+  console.log('[VIDEO] Encode complete.');
+  return outputPath;
 }
 
 // =====================================================================
-// SILENCE REMOVAL
+// SILENCE TRIMMING
+// Each spoken scene's WAV loses its leading/trailing silence before it is
+// placed on the timeline, so the timeline is final and the video is encoded
+// once. Breaks, typing, tapback and receipt holds are never trimmed.
 // =====================================================================
-function getVideoInfo(videoPath) {
-  const r = spawnSync('ffprobe', [
-    '-v', 'quiet', '-print_format', 'json',
-    '-show_streams', '-show_format', videoPath,
-  ], { encoding: 'utf8' });
-  const data = JSON.parse(r.stdout);
-  const vs   = data.streams.find(s => s.codec_type === 'video');
-  const [num, den] = vs.r_frame_rate.split('/');
-  return {
-    fps:      parseFloat(num) / parseFloat(den),
-    width:    parseInt(vs.width),
-    height:   parseInt(vs.height),
-    duration: parseFloat(data.format.duration),
-  };
-}
+const SPEECH_PAD_S  = 0.08;   // silence kept either side of detected sound
+const SILENT_CLIP_S = 0.25;   // beat kept for clips with no detectable sound
 
 function detectNonsilentRanges(audioPath, minSilenceLen = 160, silenceThresh = -60) {
   const r = spawnSync('ffmpeg', [
@@ -1732,6 +3101,8 @@ function detectNonsilentRanges(audioPath, minSilenceLen = 160, silenceThresh = -
   }
 
   const duration = getAudioDuration(audioPath);
+  // Older ffmpeg builds never close a silence that runs to end of file
+  if (silStart.length > silEnd.length) silEnd.push(duration);
   const silRanges = [];
   const n = Math.min(silStart.length, silEnd.length);
   for (let i = 0; i < n; i++) silRanges.push([silStart[i], silEnd[i]]);
@@ -1746,99 +3117,232 @@ function detectNonsilentRanges(audioPath, minSilenceLen = 160, silenceThresh = -
   return speech;
 }
 
-async function removeSilenceFromVideo(inputVideo, outputVideo, protectedRangesSec = null) {
-  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'silence_'));
+function trimSceneWav(wavPath) {
+  const duration = getAudioDuration(wavPath);
+  const speech   = detectNonsilentRanges(wavPath);
+  const trimmed  = wavPath.replace(/\.wav$/, '_trim.wav');
 
-  try {
-    const info = getVideoInfo(inputVideo);
-    const { fps, width, height, duration } = info;
-    console.log(`\n=== SILENCE REMOVAL ===`);
-    console.log(`📹 ${width}x${height} @ ${fps.toFixed(2)}fps  |  ${duration.toFixed(1)}s`);
-
-    const audioWav = path.join(tmpDir, 'audio.wav');
-    spawnSync('ffmpeg', ['-y', '-i', inputVideo, '-vn', '-ac', '1', '-ar', '16000', audioWav]);
-
-    let keepRanges;
-    if (!protectedRangesSec || protectedRangesSec.length === 0) {
-      const speech = detectNonsilentRanges(audioWav);
-      const keepMs = 0.08;
-      keepRanges = [];
-      for (const [s, e] of speech) {
-        const rs = Math.max(0,        s - keepMs);
-        const re = Math.min(duration, e + keepMs);
-        if (keepRanges.length && rs <= keepRanges[keepRanges.length - 1][1]) {
-          keepRanges[keepRanges.length - 1][1] = Math.max(keepRanges[keepRanges.length - 1][1], re);
-        } else {
-          keepRanges.push([rs, re]);
-        }
-      }
-    } else {
-      console.log(`🔒 Protected ranges: ${JSON.stringify(protectedRangesSec)}`);
-      const prot = protectedRangesSec.slice().sort((a, b) => a[0] - b[0]);
-      const slabs = [];
-      let cursor = 0.0;
-      for (const [ps, pe] of prot) {
-        if (cursor < ps) slabs.push({ start: cursor, end: ps, protected: false });
-        slabs.push({ start: ps, end: pe, protected: true });
-        cursor = pe;
-      }
-      if (cursor < duration) slabs.push({ start: cursor, end: duration, protected: false });
-
-      keepRanges = [];
-      for (const slab of slabs) {
-        if (slab.protected) {
-          keepRanges.push([slab.start, slab.end]);
-        } else {
-          const slabWav = path.join(tmpDir, `slab_${slab.start.toFixed(3)}.wav`);
-          spawnSync('ffmpeg', [
-            '-y', '-i', audioWav,
-            '-ss', String(slab.start), '-to', String(slab.end),
-            slabWav,
-          ]);
-          const speech = detectNonsilentRanges(slabWav);
-          const keepMs = 0.08;
-          for (const [s, e] of speech) {
-            const rs = Math.max(slab.start, slab.start + s - keepMs);
-            const re = Math.min(slab.end,   slab.start + e + keepMs);
-            if (keepRanges.length && rs <= keepRanges[keepRanges.length - 1][1]) {
-              keepRanges[keepRanges.length - 1][1] = Math.max(keepRanges[keepRanges.length - 1][1], re);
-            } else {
-              keepRanges.push([rs, re]);
-            }
-          }
-        }
-      }
+  if (!speech.length) {
+    if (duration <= SILENT_CLIP_S) return wavPath;
+    generateSilentWav(SILENT_CLIP_S, trimmed);
+  } else {
+    const s = Math.max(0,        speech[0][0] - SPEECH_PAD_S);
+    const e = Math.min(duration, speech[speech.length - 1][1] + SPEECH_PAD_S);
+    if (s <= 0.001 && e >= duration - 0.001) return wavPath;
+    const r = spawnSync('ffmpeg', [
+      '-y', '-i', wavPath, '-ss', s.toFixed(3), '-to', e.toFixed(3),
+      '-c:a', 'pcm_s16le', trimmed,
+    ], { encoding: 'utf8' });
+    if (r.status !== 0) {
+      console.warn(`[TRIM] Keeping untrimmed ${path.basename(wavPath)}: ${(r.stderr || '').slice(-300)}`);
+      return wavPath;
     }
+  }
+  fs.renameSync(trimmed, wavPath);
+  return wavPath;
+}
 
-    const keptTotal = keepRanges.reduce((a, [s, e]) => a + (e - s), 0);
-    console.log(`🔇 Total kept: ${keptTotal.toFixed(2)}s / ${duration.toFixed(2)}s`);
+// =====================================================================
+// LOUDNESS
+// Each scene clip is measured (EBU R128 integrated loudness) and gain-matched
+// to the job's LUFS target before concatenation, so voices, providers and
+// the uploaded SFX sit at one level. The final mix then goes through a
+// 4× oversampled (true-peak) limiter at LIMITER_CEILING_DB.
+// =====================================================================
+const LOUDNESS_PRESETS   = { social: -14, podcast: -16, broadcast: -23 };
+const LIMITER_CEILING_DB = -1.0;   // dBTP
+const MAX_CLIP_GAIN_DB   = 20;     // don't drag near-silent clips up into noise
+const MIN_MEASURE_S      = 3;      // shorter clips are looped up to this for measuring
+
+// 'off' → null; preset name or a LUFS number → target
+function resolveLoudnessTarget(value) {
+  const v = String(value || 'off').trim().toLowerCase();
+  if (v === 'off') return null;
+  if (LOUDNESS_PRESETS[v] !== undefined) return LOUDNESS_PRESETS[v];
+  const n = parseFloat(v);
+  if (!(n >= -40 && n <= -5)) {
+    throw new Error(`Unknown loudness target '${value}' (expected off|${Object.keys(LOUDNESS_PRESETS).join('|')} or -40..-5 LUFS)`);
+  }
+  return n;
+}
 
-    if (keepRanges.length === 0) {
-      fs.copyFileSync(inputVideo, outputVideo);
-      return outputVideo;
-    }
+// Integrated loudness in LUFS, or null for silence. R128 gates in 400 ms
+// blocks, so a lone sent/received pop would never be measured; looping a
+// clip leaves its integrated loudness unchanged and fills the blocks.
+function measureLoudness(audioPath) {
+  const dur   = getAudioDuration(audioPath);
+  const input = dur > 0 && dur < MIN_MEASURE_S
+    ? ['-stream_loop', '-1', '-i', audioPath, '-t', String(MIN_MEASURE_S)]
+    : ['-i', audioPath];
+  const r = spawnSync('ffmpeg', [
+    '-hide_banner', ...input, '-af', 'loudnorm=print_format=json', '-f', 'null', '-',
+  ], { encoding: 'utf8' });
+  const m = /\{[^{}]*"input_i"[^{}]*\}/.exec(r.stderr || '');
+  if (!m) return null;
+  const i = parseFloat(JSON.parse(m[0]).input_i);
+  return Number.isFinite(i) && i > -70 ? i : null;
+}
 
-    const selectExpr = keepRanges.map(([s, e]) => `between(t,${s},${e})`).join('+');
+function peakLimiter(ceilingDb) {
+  return `alimiter=limit=${Math.pow(10, ceilingDb / 20).toFixed(4)}:attack=5:release=50:level=0`;
+}
 
-    const r = spawnSync('ffmpeg', [
-      '-y', '-i', inputVideo,
-      '-vf', `select='${selectExpr}',setpts=N/FRAME_RATE/TB`,
-      '-af', `aselect='${selectExpr}',asetpts=N/SR/TB`,
-      '-c:v', 'libx264', '-preset', 'medium', '-crf', '18',
-      '-c:a', 'aac', '-b:a', '192k',
-      outputVideo,
-    ], { encoding: 'utf8', maxBuffer: 10 * 1024 * 1024 });
+// Linear gain (dynamics untouched) plus a limiter so boosted peaks can't clip
+function normalizeClipLoudness(wavPath, targetLufs) {
+  const measured = measureLoudness(wavPath);
+  if (measured === null) return;
+  const gain = Math.min(MAX_CLIP_GAIN_DB, targetLufs - measured);
+  if (Math.abs(gain) < 0.5) return;
 
-    if (r.status !== 0) {
-      console.error('[SILENCE REMOVAL] ffmpeg error:', r.stderr);
-      fs.copyFileSync(inputVideo, outputVideo);
-    }
+  const out = wavPath.replace(/\.wav$/, '_norm.wav');
+  const r = spawnSync('ffmpeg', [
+    '-y', '-i', wavPath, '-af', `volume=${gain.toFixed(2)}dB,${peakLimiter(-0.1)}`,
+    '-ar', '44100', '-ac', '1', '-c:a', 'pcm_s16le', out,
+  ], { encoding: 'utf8' });
+  if (r.status !== 0) {
+    console.warn(`[LOUDNESS] Keeping ${path.basename(wavPath)} as-is: ${(r.stderr || '').slice(-300)}`);
+    return;
+  }
+  fs.renameSync(out, wavPath);
+  console.log(`[LOUDNESS] ${path.basename(wavPath)}: ${measured.toFixed(1)} LUFS → ${gain >= 0 ? '+' : ''}${gain.toFixed(1)} dB`);
+}
 
-    console.log(`✅ Silence-removed output: ${outputVideo}`);
-    return outputVideo;
-  } finally {
-    fs.rmSync(tmpDir, { recursive: true, force: true });
+function limitTruePeak(inPath, outPath, ceilingDb = LIMITER_CEILING_DB) {
+  const r = spawnSync('ffmpeg', [
+    '-y', '-i', inPath, '-af', `aresample=176400,${peakLimiter(ceilingDb)},aresample=44100`,
+    '-ac', '1', '-c:a', 'pcm_s16le', outPath,
+  ], { encoding: 'utf8' });
+  if (r.status !== 0) throw new Error(`True-peak limiter failed: ${(r.stderr || '').slice(-500)}`);
+  return outPath;
+}
+
+// =====================================================================
+// MUSIC BED
+// Optional background track mixed under the finished voice/SFX audio. The
+// bed is sidechain-compressed against a key that is the mix muted outside
+// the spoken lines, so it ducks under voices but not under pops, tapbacks
+// or send sounds. Scene WAVs are already trimmed, so ducking stays in sync.
+// =====================================================================
+const MUSIC_DUCK = 'threshold=0.02:ratio=12:attack=15:release=400';
+
+// [start, end] of every spoken line in messageTimeline (entries with a
+// speaker), touching lines merged so the key expression stays short. A
+// message's SFX plays after its speechEnd and stays out of the range.
+function voiceRanges(timeline) {
+  const ranges = [];
+  for (const e of timeline) {
+    const end = e.speechEnd || e.end;
+    if (!e.speaker || !(end > e.start)) continue;
+    const prev = ranges[ranges.length - 1];
+    if (prev && e.start - prev[1] < 0.05) prev[1] = Math.max(prev[1], end);
+    else ranges.push([e.start, end]);
   }
+  return ranges;
+}
+
+// music: { path, volume (gain), offset (s into the track), fadeOut (s) }
+function mixMusicBed(voicePath, music, outPath, speech) {
+  const dur  = getAudioDuration(voicePath);
+  const fade = Math.min(music.fadeOut, dur);
+  const bed  = [
+    'aformat=sample_rates=44100:channel_layouts=mono',
+    `volume=${music.volume}`,
+    `atrim=0:${dur.toFixed(3)}`,
+    fade > 0 ? `afade=t=out:st=${(dur - fade).toFixed(3)}:d=${fade.toFixed(3)}` : null,
+  ].filter(Boolean).join(',');
+  const speaking = speech.map(([a, b]) => `between(t,${a.toFixed(3)},${b.toFixed(3)})`).join('+') || '0';
+  const filter = [
+    `[1:a]${bed}[bed]`,
+    '[0:a]asplit=2[voice][all]',
+    `[all]volume=0:enable='not(${speaking})'[key]`,
+    `[bed][key]sidechaincompress=${MUSIC_DUCK}[ducked]`,
+    '[voice][ducked]amix=inputs=2:duration=first:normalize=0[out]',
+  ].join(';');
+
+  // -stream_loop: a track shorter than the video starts over
+  const r = spawnSync('ffmpeg', [
+    '-y', '-i', voicePath,
+    '-stream_loop', '-1', '-ss', String(music.offset), '-i', music.path,
+    '-filter_complex', filter, '-map', '[out]',
+    '-ar', '44100', '-ac', '1', '-c:a', 'pcm_s16le', outPath,
+  ], { encoding: 'utf8' });
+  if (r.status !== 0) throw new Error(`Music mix failed: ${(r.stderr || '').slice(-500)}`);
+  return outPath;
+}
+
+// =====================================================================
+// CAPTIONS
+// Cues are built from messageTimeline, which is already on the final clock
+// (scene WAVs are trimmed before they're placed). Sidecars carry speaker
+// labels; burned-in captions are drawn by libass during the single encode.
+// Styles are ASS overrides; sizes are relative to libass's 288-line canvas,
+// so they scale with every output preset.
+// =====================================================================
+const CAPTION_MODES  = ['off', 'sidecar', 'burn'];
+const CAPTION_STYLES = {
+  classic: 'FontSize=16,Bold=1,PrimaryColour=&H00FFFFFF,OutlineColour=&H00000000,BorderStyle=1,Outline=2,Shadow=0,Alignment=2,MarginV=20',
+  boxed:   'FontSize=15,Bold=1,PrimaryColour=&H00FFFFFF,OutlineColour=&H60000000,BorderStyle=3,Outline=4,Shadow=0,Alignment=2,MarginV=20',
+  yellow:  'FontSize=17,Bold=1,PrimaryColour=&H0000E6FF,OutlineColour=&H00000000,BorderStyle=1,Outline=2,Shadow=1,Alignment=2,MarginV=20',
+  top:     'FontSize=16,Bold=1,PrimaryColour=&H00FFFFFF,OutlineColour=&H00000000,BorderStyle=1,Outline=2,Shadow=0,Alignment=8,MarginV=20',
+};
+const DEFAULT_CAPTION_STYLE = 'classic';
+
+// Blurred runs stay hidden in captions too
+function captionText(text) {
+  return extractBlurRuns(text || '')
+    .map(([t, blurred]) => blurred ? '*'.repeat(Math.max(3, t.trim().length)) : t)
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Only spoken entries carry a speaker; breaks, typing, images etc. don't
+function captionCues(timeline) {
+  return timeline
+    .filter(e => e.speaker && e.end > e.start)
+    .map(e => ({ start: e.start, end: e.end, speaker: e.speaker, text: captionText(e.text) }))
+    .filter(c => c.text);
+}
+
+function captionTimestamp(t, sep) {
+  const ms = Math.max(0, Math.round(t * 1000));
+  const hh = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const mm = String(Math.floor(ms / 60000) % 60).padStart(2, '0');
+  const ss = String(Math.floor(ms / 1000) % 60).padStart(2, '0');
+  return `${hh}:${mm}:${ss}${sep}${String(ms % 1000).padStart(3, '0')}`;
+}
+
+function formatSrt(cues, labels = true) {
+  return cues.map((c, i) =>
+    `${i + 1}\n${captionTimestamp(c.start, ',')} --> ${captionTimestamp(c.end, ',')}\n` +
+    `${labels ? `${c.speaker}: ` : ''}${c.text}\n`
+  ).join('\n');
+}
+
+function formatVtt(cues) {
+  const esc = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return 'WEBVTT\n\n' + cues.map(c =>
+    `${captionTimestamp(c.start, '.')} --> ${captionTimestamp(c.end, '.')}\n<v ${esc(c.speaker)}>${esc(c.text)}\n`
+  ).join('\n');
+}
+
+// Writes <video>.srt and <video>.vtt next to the output
+function writeCaptionSidecars(cues, videoPath) {
+  const base = videoPath.slice(0, -path.extname(videoPath).length);
+  const srt  = `${base}.srt`;
+  const vtt  = `${base}.vtt`;
+  fs.writeFileSync(srt, formatSrt(cues));
+  fs.writeFileSync(vtt, formatVtt(cues));
+  return { srt, vtt };
+}
+
+// -vf for the encode. The SRT lives in the job's tmp dir so its path never
+// needs filtergraph escaping; the bundled font is used when it's on disk.
+function captionBurnFilter(srtPath, style) {
+  const fontDir = fs.existsSync(FONT_PATH) ? path.dirname(path.resolve(FONT_PATH)) : null;
+  const font    = fontDir ? 'FontName=SF Pro Display,' : '';
+  return `subtitles=filename='${srtPath}'${fontDir ? `:fontsdir='${fontDir}'` : ''}` +
+    `:force_style='${font}${CAPTION_STYLES[style]}'`;
 }
 
 // =====================================================================
@@ -1847,54 +3351,135 @@ async function removeSilenceFromVideo(inputVideo, outputVideo, protectedRangesSe
 async function runTextingVideo(scriptPath, imageBaseDir, apiKey, sentSfxPath, receivedSfxPath) {
   const savedImageBaseDir = IMAGE_BASE_DIR;
   IMAGE_BASE_DIR = imageBaseDir;
-  TTS_CACHE_DIR  = path.join(imageBaseDir, 'tts_cache');
-  fs.mkdirSync(TTS_CACHE_DIR, { recursive: true });
 
-  const { unreadCount, uiCornerRadius, threads } = parseFileSettingsAndThreads(scriptPath);
+  reportProgress({ stage: 'parse' });
+  applyOutputPreset(process.env.OUTPUT_PRESET || DEFAULT_PRESET);
+  console.log(`[OUTPUT] ${OUTPUT.label} (${W}x${H})`);
+
+  const { unreadCount, uiCornerRadius, pageMode, voiceBindings, threads } = parseFileSettingsAndThreads(scriptPath);
   if (!threads.length) throw new Error('No conversations found in input!');
 
+  const animation = (process.env.BUBBLE_ANIMATION || 'none').toLowerCase();
+  if (!ENTRANCE_MODES.includes(animation)) {
+    throw new Error(`Unknown bubble animation '${animation}' (expected ${ENTRANCE_MODES.join('|')})`);
+  }
+
+  const bgMode = (process.env.BACKGROUND_MODE || 'green').toLowerCase();
+  if (!BACKGROUND_MODES[bgMode]) {
+    throw new Error(`Unknown background mode '${bgMode}' (expected ${Object.keys(BACKGROUND_MODES).join('|')})`);
+  }
+  BACKGROUND = BACKGROUND_MODES[bgMode];
+  console.log(`[BACKGROUND] ${bgMode}${BACKGROUND.alpha ? ' (alpha)' : ''}`);
+  console.log(`[TTS] ${getTTSProvider().label}`);
+
+  const loudnessTarget = resolveLoudnessTarget(process.env.LOUDNESS_TARGET);
+  console.log(`[LOUDNESS] ${loudnessTarget === null ? 'off' : `${loudnessTarget} LUFS, limiter ${LIMITER_CEILING_DB} dBTP`}`);
+
+  const music = process.env.MUSIC_PATH ? {
+    path:    process.env.MUSIC_PATH,
+    volume:  parseFloat(process.env.MUSIC_VOLUME   || '0.3'),
+    offset:  parseFloat(process.env.MUSIC_OFFSET_S || '0'),
+    fadeOut: parseFloat(process.env.MUSIC_FADE_S   || '3'),
+  } : null;
+  if (music) {
+    if (!fs.existsSync(music.path)) throw new Error(`Music file not found: ${music.path}`);
+    if (![music.volume, music.offset, music.fadeOut].every(v => Number.isFinite(v) && v >= 0)) {
+      throw new Error('Music volume, offset and fade-out must be non-negative numbers');
+    }
+    console.log(`[MUSIC] ${path.basename(music.path)} | volume ${music.volume} | from ${music.offset}s | fade ${music.fadeOut}s`);
+  }
+
+  const captions     = (process.env.CAPTIONS || 'off').toLowerCase();
+  const captionStyle = (process.env.CAPTION_STYLE || DEFAULT_CAPTION_STYLE).toLowerCase();
+  if (!CAPTION_MODES.includes(captions)) {
+    throw new Error(`Unknown captions mode '${captions}' (expected ${CAPTION_MODES.join('|')})`);
+  }
+  if (!CAPTION_STYLES[captionStyle]) {
+    throw new Error(`Unknown caption style '${captionStyle}' (expected ${Object.keys(CAPTION_STYLES).join('|')})`);
+  }
+  if (captions !== 'off') console.log(`[CAPTIONS] ${captions}${captions === 'burn' ? ` (${captionStyle})` : ''}`);
+
   const scenesData           = [];
   const wavFiles             = [];
   const messageTimeline      = [];
   let curT                   = 0.0;
-  const breakProtectedRanges = [];
 
   const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'texting_video_'));
   const tag    = THEME.filename_tag;
 
   let counter = 1;
-  let rawOutputFile, finalOutputFile;
+  let finalOutputFile;
+  let captionFiles = null;   // { srt, vtt } sidecars
   do {
-    rawOutputFile   = path.join(imageBaseDir, `textingAiVR_1080p_${tag}_${String(counter).padStart(3,'0')}_raw.mp4`);
-    finalOutputFile = path.join(imageBaseDir, `textingAiVR_1080p_${tag}_${String(counter).padStart(3,'0')}.mp4`);
+    finalOutputFile = path.join(imageBaseDir, `textingAiVR_${OUTPUT.tag}_${tag}_${String(counter).padStart(3,'0')}${BACKGROUND.ext}`);
     counter++;
   } while (fs.existsSync(finalOutputFile));
 
   console.log(`Will save final video as: ${finalOutputFile}`);
 
   try {
+    console.log('\n=== GENERATING TTS ===');
+    reportProgress({ stage: 'tts' });
+    const ttsClips = await synthesizeAllTTS(threads, voiceBindings, apiKey, tmpDir);
+
     console.log('\n=== BUILDING SCENES ===');
+    const msgTotal = threads.reduce((n, t) => n + t.messages.length, 0);
+    let msgsDone   = 0;
+    reportProgress({ stage: 'render', scenesDone: 0, scenesTotal: msgTotal });
     let sceneIdx         = 0;
     const allRenderedMsgs = [];
 
+    // receipts: directive state — carries across threads like UM/CR
+    let receiptMode = 'off';
+    let receiptTime = null;
+    const receiptText = () =>
+      receiptMode === 'delivered' ? 'Delivered'
+      : receiptMode === 'read'    ? `Read${receiptTime ? ' ' + receiptTime : ''}`
+      : null;
+
     for (const thread of threads) {
-      const { contact, messages: msgs, avatar: avatarFile } = thread;
+      const { contact, messages: msgs, avatar: avatarFile, members } = thread;
       if (!msgs.length) continue;
 
-      let start = 0;
-      while (start < msgs.length) {
-        const tentativeWindow = msgs.slice(start, start + PAGE_SIZE_TEXT);
-        const hasImage = tentativeWindow.some(m =>
-          !m.is_plug && !m.is_break && isImageMessage(stripBlurMarkers(m.text || ''))[0]
-        );
-        const pageSize = hasImage ? PAGE_SIZE_WITH_IMAGE : PAGE_SIZE_TEXT;
-        const window   = msgs.slice(start, start + pageSize);
+      // caption label: 'Me', the contact in a 1:1 thread, the sender in a group
+      const speakerLabel = m => m.audio_only ? m.speaker
+        : m.sender.toLowerCase() === 'me' ? 'Me'
+        : members ? m.sender : contact;
 
+      let start        = 0;
+      let scrollOffset = 0;
+      while (start < msgs.length) {
+        jobSignal.throwIfAborted();
         const showPoster = (start === 0);
-        const poster     = showPoster ? await createContactHeader(contact, unreadCount, avatarFile) : null;
-
-        const { clips: fullBubbles, widths: fullWs, heights: fullHs, senders: fullSnd, isImgFlags: fullIsImg }
-          = await makeBubbleClips(window);
+        const measured   = pageMode === 'auto' ? await measurePage(msgs, start, members, showPoster, receiptMode) : null;
+        const pageSize   = pageMode === 'scroll' ? msgs.length - start
+          : measured ? measured.length
+          : pageMode;
+        const window     = msgs.slice(start, start + pageSize);
+
+        const poster     = showPoster ? await createContactHeader(contact, unreadCount, avatarFile, members) : null;
+
+        const { clips: fullBubbles, widths: fullWs, heights: fullHs, senders: fullSnd, isImgFlags: fullIsImg, labels: fullLabels }
+          = measured ? measured.bubbles : await makeBubbleClips(window, members);
+        const pageReactions = new Array(window.length).fill(null);
+
+        // variants: createSceneImage row args [clips, ws, hs, snd, labels, reactions, receipt],
+        // one per animation phase. Scroll mode hands strips to the frame writer instead.
+        // entrance: animate the newest bubble in (single-variant scenes only).
+        const renderScene = async (variants, hold = 1, entrance = null) => {
+          const out = [];
+          for (const [c, w, h, s, l, r, rc] of variants) {
+            out.push(await createSceneImage(c, w, h, s, poster, showPoster, uiCornerRadius, l, r, rc, pageMode === 'scroll', entrance));
+          }
+          const held = out[0] && out[0].bubble ? out[0] : null;
+          if (pageMode === 'scroll') {
+            const scene  = createScrollScene(held ? [held.base] : out, scrollOffset, poster, uiCornerRadius, hold, held && held.bubble);
+            scrollOffset = scene.toOffset;
+            return scene;
+          }
+          if (held) return createEntranceScene(held.base, held.bubble, held.chat);
+          return out.length === 1 ? out[0] : { frames: out, hold, loop: true };
+        };
 
         for (let i = 1; i <= window.length; i++) {
           const bclips   = fullBubbles.slice(0, i);
@@ -1902,8 +3487,12 @@ async function runTextingVideo(scriptPath, imageBaseDir, apiKey, sentSfxPath, re
           const hs       = fullHs.slice(0, i);
           const snd      = fullSnd.slice(0, i);
           const imgFlags = fullIsImg.slice(0, i);
+          const lbls     = fullLabels.slice(0, i);
+          const reacts   = pageReactions.slice(0, i);
 
           const last         = window[i - 1];
+          reportProgress({ stage: last.is_plug || last.is_rizz ? 'plugs' : 'render', scenesDone: msgsDone });
+          msgsDone++;
           const lastIsImage  = imgFlags[imgFlags.length - 1];
           const lastSender   = snd[snd.length - 1];
           const sfxName      = last.sfx;
@@ -1911,6 +3500,10 @@ async function runTextingVideo(scriptPath, imageBaseDir, apiKey, sentSfxPath, re
           const isPlug       = last.is_plug     || false;
           const isRizz       = last.is_rizz     || false;
           const isBreak      = last.is_break    || false;
+          const isTyping     = last.is_typing   || false;
+          const isReact      = last.is_react    || false;
+          const isTime       = last.is_time     || false;
+          const isReceipt    = last.is_receipt  || false;
           const ttsText      = last.tts_text || stripBlurMarkers(last.text || '');
 
           if (isBreak) {
@@ -1920,27 +3513,103 @@ async function runTextingVideo(scriptPath, imageBaseDir, apiKey, sentSfxPath, re
             const actualDur = getAudioDuration(wavBrk);
             scenesData.push(null);
             wavFiles.push(wavBrk);
-            breakProtectedRanges.push([curT, curT + actualDur]);
             messageTimeline.push({ text: `<break:${brkDur}s>`, start: curT, end: curT + actualDur, is_break: true });
             curT += actualDur;
             sceneIdx++;
             continue;
           }
 
+          // Typing holds are silent; like breaks they are never trimmed
+          if (isTyping) {
+            const typDur = last.duration_s;
+            const wavTyp = path.join(tmpDir, `scene_${String(sceneIdx).padStart(4,'0')}_typing.wav`);
+            generateSilentWav(typDur, wavTyp);
+            const actualDur = getAudioDuration(wavTyp);
+
+            const variants = [];
+            for (let k = 0; k < TYPING_ANIM_FRAMES; k++) {
+              const dots = typingBubbleCanvas(last.sender, k / TYPING_ANIM_FRAMES);
+              variants.push([
+                [...bclips.slice(0, -1), dots],
+                [...ws.slice(0, -1), dots.width],
+                [...hs.slice(0, -1), dots.height],
+                snd, lbls, reacts, receiptText(),
+              ]);
+            }
+            scenesData.push(await renderScene(variants, TYPING_FRAME_HOLD));
+            wavFiles.push(wavTyp);
+            messageTimeline.push({ text: `<typing:${typDur}s>`, start: curT, end: curT + actualDur, is_typing: true });
+            curT += actualDur;
+            sceneIdx++;
+            continue;
+          }
+
+          // Separator row appears with the next scene; it has no audio of its own
+          if (isTime) continue;
+
+          if (isReceipt) {
+            const before = receiptText();
+            receiptMode  = last.mode;
+            receiptTime  = last.read_time;
+            const lastVisible = bclips.map((c, j) => c ? j : -1).filter(j => j !== -1).pop();
+            if (receiptText() === before || lastVisible === undefined || snd[lastVisible] !== 'me') continue;
+
+            // Receipt under an on-screen sent bubble changed: hold a beat so it registers
+            const wavRcpt = path.join(tmpDir, `scene_${String(sceneIdx).padStart(4,'0')}_receipt.wav`);
+            generateSilentWav(0.6, wavRcpt);
+            const actualDur = getAudioDuration(wavRcpt);
+            scenesData.push(await renderScene([[bclips, ws, hs, snd, lbls, reacts, receiptText()]]));
+            wavFiles.push(wavRcpt);
+            messageTimeline.push({ text: `<receipt:${receiptText() || 'off'}>`, start: curT, end: curT + actualDur, is_receipt: true });
+            curT += actualDur;
+            sceneIdx++;
+            continue;
+          }
+
+          // Tapback: badge an earlier on-screen bubble, hold for the SFX (or a beat)
+          if (isReact) {
+            const onScreen = [];   // bubbles only — validateScript doesn't count time separators
+            for (let j = 0; j < i - 1; j++) if (fullBubbles[j] !== null && fullSnd[j] !== '__time__') onScreen.push(j);
+            const targetIdx = onScreen[onScreen.length + last.target];
+
+            if (!last.reaction || targetIdx === undefined) {
+              console.error(`[REACT] ERROR: Tapback skipped — ${!last.reaction ? 'unknown tapback' : `@${last.target} is on an earlier page`}`);
+              continue;
+            }
+            const by = last.sender.toLowerCase();
+            pageReactions[targetIdx] = [
+              ...(pageReactions[targetIdx] || []).filter(r => r.by !== by),
+              { type: last.reaction, fromMe: by === 'me', by },
+            ];
+
+            const wavReact = path.join(tmpDir, `scene_${String(sceneIdx).padStart(4,'0')}_react.wav`);
+            const sfxFile  = resolveSfxPath(last.sfx || 'tapback', imageBaseDir);
+            if (sfxFile) convertToWav(sfxFile, wavReact);
+            else         generateSilentWav(0.6, wavReact);
+            const actualDur = getAudioDuration(wavReact);
+
+            scenesData.push(await renderScene([[bclips, ws, hs, snd, lbls, pageReactions.slice(0, i), receiptText()]]));
+            wavFiles.push(wavReact);
+            messageTimeline.push({ text: `<react:${last.reaction}>`, start: curT, end: curT + actualDur, is_react: true });
+            curT += actualDur;
+            sceneIdx++;
+            continue;
+          }
+
           if (isPlug) {
             const { frame: plugFrame, wavPlugsay, wavPlug } = await generatePlugScene(
-              last, allRenderedMsgs, apiKey, tmpDir, sceneIdx, imageBaseDir
+              last, allRenderedMsgs, ttsClips, tmpDir, sceneIdx, imageBaseDir
             );
             if (wavPlugsay) {
-              const durSay = getAudioDuration(wavPlugsay);
+              const durSay = getAudioDuration(trimSceneWav(wavPlugsay));
               scenesData.push(plugFrame); wavFiles.push(wavPlugsay);
-              messageTimeline.push({ text: last.plugsay_text, start: curT, end: curT + durSay });
+              messageTimeline.push({ text: last.plugsay_text, start: curT, end: curT + durSay, speaker: 'Me' });
               curT += durSay; sceneIdx++;
             }
             if (wavPlug) {
-              const durReply = getAudioDuration(wavPlug);
+              const durReply = getAudioDuration(trimSceneWav(wavPlug));
               scenesData.push(null); wavFiles.push(wavPlug);
-              messageTimeline.push({ text: last.text, start: curT, end: curT + durReply });
+              messageTimeline.push({ text: last.text, start: curT, end: curT + durReply, speaker: 'Plug AI' });
               curT += durReply; sceneIdx++;
             }
             continue;
@@ -1948,18 +3617,18 @@ async function runTextingVideo(scriptPath, imageBaseDir, apiKey, sentSfxPath, re
 
           if (isRizz) {
             const { framePartial, frameFull, wavRizzsay, wavRizz } = await generateRizzScene(
-              last, allRenderedMsgs, apiKey, tmpDir, sceneIdx, imageBaseDir
+              last, allRenderedMsgs, ttsClips, tmpDir, sceneIdx, imageBaseDir
             );
             if (wavRizzsay) {
-              const durSay = getAudioDuration(wavRizzsay);
+              const durSay = getAudioDuration(trimSceneWav(wavRizzsay));
               scenesData.push(framePartial); wavFiles.push(wavRizzsay);
-              messageTimeline.push({ text: last.rizzsay_text, start: curT, end: curT + durSay });
+              messageTimeline.push({ text: last.rizzsay_text, start: curT, end: curT + durSay, speaker: 'Me' });
               curT += durSay; sceneIdx++;
             }
             if (wavRizz) {
-              const durReply = getAudioDuration(wavRizz);
+              const durReply = getAudioDuration(trimSceneWav(wavRizz));
               scenesData.push(frameFull); wavFiles.push(wavRizz);
-              messageTimeline.push({ text: last.text, start: curT, end: curT + durReply });
+              messageTimeline.push({ text: last.text, start: curT, end: curT + durReply, speaker: 'Rizz AI' });
               curT += durReply; sceneIdx++;
             }
             continue;
@@ -1971,10 +3640,10 @@ async function runTextingVideo(scriptPath, imageBaseDir, apiKey, sentSfxPath, re
           if (lastIsImage || isDotsOnly) {
             ttsMp3 = lastSender === 'me' ? sentSfxPath : receivedSfxPath;
           } else {
-            ttsMp3 = path.join(tmpDir, `${contact}_${start}_${i}_tts.mp3`);
-            await genTTSAudio(apiKey, ttsText, ttsMp3, last.speaker);
+            ttsMp3 = ttsClips.get(ttsKey(last.speaker, ttsText));
           }
 
+          let speechDur = null;   // TTS part of a clip with a message SFX appended
           if (sfxName) {
             const sfxFile = resolveSfxPath(sfxName, imageBaseDir);
             if (sfxFile) {
@@ -1985,23 +3654,27 @@ async function runTextingVideo(scriptPath, imageBaseDir, apiKey, sentSfxPath, re
               );
               const r = spawnSync('ffmpeg', ['-y', '-f', 'concat', '-safe', '0', '-i', listFile, '-c', 'copy', combinedMp3], { encoding: 'utf8' });
               fs.unlinkSync(listFile);
-              if (r.status === 0) ttsMp3 = combinedMp3;
+              if (r.status === 0) { speechDur = getAudioDuration(ttsMp3); ttsMp3 = combinedMp3; }
             }
           }
 
           const wavFile = path.join(tmpDir, `scene_${String(sceneIdx).padStart(4,'0')}.wav`);
           convertToWav(ttsMp3, wavFile);
-          const duration = getAudioDuration(wavFile);
+          const duration = getAudioDuration(trimSceneWav(wavFile));
           wavFiles.push(wavFile);
 
           let sceneImg = null;
           if (!isAudioOnly) {
-            sceneImg = await createSceneImage(bclips, ws, hs, snd, poster, showPoster, uiCornerRadius);
+            sceneImg = await renderScene([[bclips, ws, hs, snd, lbls, reacts, receiptText()]], 1, animation);
           }
           scenesData.push(sceneImg);
           allRenderedMsgs.push(last);
 
-          messageTimeline.push({ text: last.text, start: curT, end: curT + duration, sfx: sfxName, audio_only: isAudioOnly });
+          messageTimeline.push({
+            text: last.text, start: curT, end: curT + duration, sfx: sfxName, audio_only: isAudioOnly,
+            speaker: lastIsImage || isDotsOnly ? null : speakerLabel(last),
+            ...(speechDur && { speechEnd: curT + Math.min(duration, speechDur) }),
+          });
           curT += duration;
           sceneIdx++;
 
@@ -2013,29 +3686,46 @@ async function runTextingVideo(scriptPath, imageBaseDir, apiKey, sentSfxPath, re
     }
 
     console.log(`\n[INFO] Total scenes: ${scenesData.length} | WAVs: ${wavFiles.length} | Duration: ${curT.toFixed(4)}s`);
+    reportProgress({ stage: 'audio', scenesDone: msgTotal });
+
+    if (loudnessTarget !== null) {
+      console.log(`\n=== NORMALIZING LOUDNESS (${loudnessTarget} LUFS) ===`);
+      for (const wav of new Set(wavFiles)) normalizeClipLoudness(wav, loudnessTarget);
+    }
 
-    const finalAudio = path.join(tmpDir, 'final_audio.wav');
+    let finalAudio = path.join(tmpDir, 'final_audio.wav');
     concatWavFiles(wavFiles, finalAudio);
+    if (music) {
+      console.log('\n=== MIXING MUSIC ===');
+      finalAudio = mixMusicBed(finalAudio, music, path.join(tmpDir, 'final_mix.wav'), voiceRanges(messageTimeline));
+    }
+    if (loudnessTarget !== null) {
+      finalAudio = limitTruePeak(finalAudio, path.join(tmpDir, 'final_limited.wav'));
+    }
 
-    const videoNoAudio = rawOutputFile.replace('.mp4', '_videoonly.mp4');
-    await writeVideoWithFfmpeg(scenesData, wavFiles, 30, videoNoAudio);
+    const cues = captions === 'off' ? null : captionCues(messageTimeline);
+    let videoFilter = null;
+    if (captions === 'burn') {
+      const burnSrt = path.join(tmpDir, 'captions.srt');
+      fs.writeFileSync(burnSrt, formatSrt(cues, false));
+      videoFilter = captionBurnFilter(burnSrt, captionStyle);
+    }
+
+    reportProgress({ stage: 'encode', encodePercent: 0 });
+    await writeVideoWithFfmpeg(scenesData, wavFiles, 30, finalOutputFile, finalAudio, videoFilter);
 
-    await muxVideoAudio(videoNoAudio, finalAudio, rawOutputFile);
-    if (fs.existsSync(videoNoAudio)) fs.unlinkSync(videoNoAudio);
+    if (cues) {
+      captionFiles = writeCaptionSidecars(cues, finalOutputFile);
+      console.log(`[CAPTIONS] ${cues.length} cue(s) → ${path.basename(captionFiles.srt)}, ${path.basename(captionFiles.vtt)}`);
+    }
 
   } finally {
     fs.rmSync(tmpDir, { recursive: true, force: true });
     IMAGE_BASE_DIR = savedImageBaseDir;
   }
 
-  const finalOutput = await removeSilenceFromVideo(
-    rawOutputFile, finalOutputFile,
-    breakProtectedRanges.length ? breakProtectedRanges : null
-  );
-
-  if (fs.existsSync(rawOutputFile)) fs.unlinkSync(rawOutputFile);
-  console.log(`\n✅ ${tag.toUpperCase()} final video (silence removed): ${finalOutput}`);
-  return { outputVideo: finalOutput, messageTimeline };
+  console.log(`\n✅ ${tag.toUpperCase()} final video: ${finalOutputFile}`);
+  return { outputVideo: finalOutputFile, messageTimeline, captions: captionFiles };
 }
 
 // =====================================================================
@@ -2046,7 +3736,28 @@ async function main() {
   THEME = THEMES[themeKey];
   console.log(`\n[THEME] Selected: ${themeKey.toUpperCase()}\n`);
 
-  const args = process.argv.slice(2);
+  // --animation none|pop|slide|fade, --preset <key>, --background green|prores|webm,
+  // --tts ai33pro|elevenlabs|local, --loudness off|social|podcast|broadcast|<LUFS>,
+  // --captions off|sidecar|burn [--caption-style classic|boxed|yellow|top]
+  // and --music <file> [--music-volume 0.3 --music-offset 0 --music-fade 3]
+  // may appear anywhere
+  const flagEnv = {
+    animation: 'BUBBLE_ANIMATION', preset: 'OUTPUT_PRESET',
+    background: 'BACKGROUND_MODE', tts: 'TTS_PROVIDER', loudness: 'LOUDNESS_TARGET',
+    captions: 'CAPTIONS', 'caption-style': 'CAPTION_STYLE',
+    music: 'MUSIC_PATH', 'music-volume': 'MUSIC_VOLUME',
+    'music-offset': 'MUSIC_OFFSET_S', 'music-fade': 'MUSIC_FADE_S',
+  };
+  const args = [];
+  const argv = process.argv.slice(2);
+  for (let a = 0; a < argv.length; a++) {
+    const m = argv[a].match(/^--(animation|preset|background|tts|loudness|captions|caption-style|music(?:-volume|-offset|-fade)?)(?:=(.+))?$/);
+    if (m) process.env[flagEnv[m[1]]] = m[2] || argv[++a] || '';
+    else   args.push(argv[a]);
+  }
+  console.log(`[ANIMATION] ${process.env.BUBBLE_ANIMATION || 'none'}`);
+  console.log(`[PRESET] ${process.env.OUTPUT_PRESET || DEFAULT_PRESET}`);
+
   const scriptFile        = args[0] || 'btest.txt';
   const baseImageDir      = args[1] || '.';
   const elevenlabsApiKey  = args[2] || 'api';
@@ -2066,9 +3777,10 @@ if (require.main === module) {
 }
 
 module.exports = {
-  runTextingVideo, parseFileSettingsAndThreads,
-  genAi33ProAudio, genElevenLabsAudio, genTTSAudio,
+  runTextingVideo, cancelTextingVideo, onProgress, parseFileSettingsAndThreads, validateScript, parseVoiceBinding,
+  genAi33ProAudio, genElevenLabsAudio, genLocalAudio, genTTSAudio, getTTSProvider,
   bubbleCanvas, createContactHeader, createSceneImage,
   stripBlurMarkers, extractBlurRuns, parseTtsOverride,
-  THEMES, AI33PRO_VOICE_MAP,
+  THEMES, AI33PRO_VOICE_MAP, TTS_PROVIDERS, ENTRANCE_MODES, OUTPUT_PRESETS, LOUDNESS_PRESETS, CAPTION_STYLES,
+  PROGRESS_STAGES,
 };
\ No newline at end of file
@@ -0,0 +1,113 @@
+'use strict';
+
+// Server-wide, content-addressed TTS cache shared by every job's worker.
+// Entries are <sha256>.mp3 in CACHE_DIR; a file's mtime doubles as its
+// last-use time, so eviction drops the least recently used clips first.
+// Eviction scans the whole directory, so it runs once per job (after the
+// TTS pre-pass), not on every store.
+
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const crypto = require('crypto');
+
+const CACHE_DIR    = process.env.TTS_CACHE_DIR || path.join(os.tmpdir(), 'texting_tts_cache');
+const MAX_BYTES    = (parseFloat(process.env.TTS_CACHE_MAX_MB) || 200) * 1024 * 1024;
+const STALE_TMP_MS = 10 * 60 * 1000;   // a write-in-progress this old was abandoned by a killed worker
+
+// ── keys ─────────────────────────────────────────────────────────────
+// Everything that changes the audio goes into the key; settings are
+// sorted so { a, b } and { b, a } hash the same.
+function cacheKey({ provider, voice, model, settings = {}, text }) {
+  const canon = JSON.stringify([
+    provider, voice, model,
+    Object.keys(settings).sort().map(k => [k, settings[k]]),
+    text,
+  ]);
+  return crypto.createHash('sha256').update(canon, 'utf8').digest('hex');
+}
+
+function entryPath(key) {
+  return path.join(CACHE_DIR, `${key}.mp3`);
+}
+
+// ── read / write ─────────────────────────────────────────────────────
+// Copies a hit to outPath and bumps its last-use time.
+function lookup(key, outPath) {
+  const file = entryPath(key);
+  try {
+    if (fs.statSync(file).size === 0) return false;
+    fs.copyFileSync(file, outPath);
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+    return true;
+  } catch (_) {
+    return false;   // missing, or evicted by another worker mid-copy
+  }
+}
+
+// Write-then-rename so concurrent workers never read a half-written clip
+function store(key, srcPath) {
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  const tmp = path.join(CACHE_DIR, `.${key}.${process.pid}.tmp`);
+  fs.copyFileSync(srcPath, tmp);
+  fs.renameSync(tmp, entryPath(key));
+}
+
+// ── eviction / stats ─────────────────────────────────────────────────
+function listEntries() {
+  let names;
+  try { names = fs.readdirSync(CACHE_DIR); } catch (_) { return []; }
+  const entries = [];
+  for (const name of names) {
+    if (!name.endsWith('.mp3')) continue;
+    const file = path.join(CACHE_DIR, name);
+    try {
+      const st = fs.statSync(file);
+      entries.push({ file, size: st.size, usedAt: st.mtimeMs });
+    } catch (_) {}
+  }
+  return entries;
+}
+
+function removeStaleTmp(now = Date.now()) {
+  let names;
+  try { names = fs.readdirSync(CACHE_DIR); } catch (_) { return; }
+  for (const name of names) {
+    if (!name.endsWith('.tmp')) continue;
+    const file = path.join(CACHE_DIR, name);
+    try { if (now - fs.statSync(file).mtimeMs > STALE_TMP_MS) fs.unlinkSync(file); } catch (_) {}
+  }
+}
+
+function evict(maxBytes = MAX_BYTES) {
+  removeStaleTmp();
+  const entries = listEntries().sort((a, b) => a.usedAt - b.usedAt);
+  let total   = entries.reduce((n, e) => n + e.size, 0);
+  let removed = 0;
+  for (const e of entries) {
+    if (total <= maxBytes) break;
+    try { fs.unlinkSync(e.file); total -= e.size; removed++; } catch (_) {}
+  }
+  return { removed, bytes: total };
+}
+
+function stats() {
+  const entries = listEntries();
+  const used    = entries.map(e => e.usedAt);
+  return {
+    entries:    entries.length,
+    bytes:      entries.reduce((n, e) => n + e.size, 0),
+    maxBytes:   MAX_BYTES,
+    oldestUse:  used.length ? new Date(Math.min(...used)).toISOString() : null,
+    newestUse:  used.length ? new Date(Math.max(...used)).toISOString() : null,
+  };
+}
+
+function purge() {
+  const { bytes } = stats();
+  const { removed, bytes: left } = evict(0);
+  return { removed, freedBytes: bytes - left };
+}
+
+module.exports = { CACHE_DIR, MAX_BYTES, cacheKey, lookup, store, evict, stats, purge };
@@ -27,6 +27,24 @@ if (TTS_PROVIDER) process.env.TTS_PROVIDER = TTS_PROVIDER;
 // Patch askTheme so it doesn't block waiting for stdin
 const textvid = require('./texting_video.js');
 
+// Cancel request from the server: stop TTS polling right away, and exit
+// anyway if the pipeline doesn't unwind within a few seconds
+process.on('message', msg => {
+  if (!msg || msg.type !== 'cancel') return;
+  textvid.cancelTextingVideo(msg.reason);
+  setTimeout(() => process.exit(1), 5000).unref();
+});
+// Server went away (crash/restart): it marks this job failed on startup,
+// so stop instead of rendering into a job dir that is about to be deleted
+process.on('disconnect', () => {
+  textvid.cancelTextingVideo('Server connection lost');
+  setTimeout(() => process.exit(1), 5000).unref();
+});
+process.channel && process.channel.unref();   // listener alone mustn't keep us alive
+
+// Structured progress (stage, scene/TTS counts, encode %) for the server
+textvid.onProgress(p => process.connected && process.send({ type: 'progress', progress: p }));
+
 // Override THEME before running
 textvid.THEMES && Object.assign(textvid, { _themeOverride: THEME });
 
@@ -60,7 +78,12 @@ async function run() {
     RECEIVED_SFX
   );
 
-  process.send({ type: 'done', outputPath: result.outputVideo });
+  process.send({
+    type:       'done',
+    outputPath: result.outputVideo,
+    captions:   result.captions,          // { srt, vtt } or null
+    timeline:   result.messageTimeline,
+  });
 }
 
 run().catch(err => {